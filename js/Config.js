@@ -5,17 +5,125 @@ export const Config = {
   // Recording interval in milliseconds (30 seconds)
   recordingInterval: 5000,
 
-  // Speed thresholds in Mbps
-  speedThresholds: {
-    good: 5,      // >= 5 Mbps = good
-    moderate: 1   // >= 1 Mbps = moderate, below = poor
-  },
+  // Connection-quality profiles, picked on the map view. A point is 'good'
+  // if it meets every limit in `good`, else 'moderate' if it meets every
+  // limit in `moderate`, else 'poor'. Limits: minDownloadMbps, minUploadMbps,
+  // maxLatencyMs, maxJitterMs, maxPacketLoss (0–1); leave one out to ignore
+  // it. The first profile is the default. Add your own here.
+  qualityProfiles: [
+    {
+      id: 'browsing',
+      name: 'Browsing',
+      good: { minDownloadMbps: 5, maxLatencyMs: 300 },
+      moderate: { minDownloadMbps: 1, maxLatencyMs: 1000 }
+    },
+    {
+      id: 'video-call',
+      name: 'Video call',
+      good: { minDownloadMbps: 3, minUploadMbps: 1.5, maxLatencyMs: 150, maxJitterMs: 30, maxPacketLoss: 0.02 },
+      moderate: { minDownloadMbps: 1, minUploadMbps: 0.5, maxLatencyMs: 300, maxJitterMs: 60, maxPacketLoss: 0.05 }
+    },
+    {
+      id: 'streaming',
+      name: 'Streaming',
+      good: { minDownloadMbps: 8, maxLatencyMs: 1000 },
+      moderate: { minDownloadMbps: 3, maxLatencyMs: 2000 }
+    }
+  ],
+
+  // Use cases scored per point ("could I take a call here?"). Same limits as
+  // the quality profiles; `ready` means it works well, `limited` that it
+  // works with glitches, anything worse is unusable
+  useCases: [
+    {
+      id: 'messaging',
+      name: 'Messaging',
+      ready: { maxLatencyMs: 1000, maxPacketLoss: 0.1 },
+      limited: { maxLatencyMs: 3000, maxPacketLoss: 0.3 }
+    },
+    {
+      id: 'web',
+      name: 'Web browsing',
+      ready: { minDownloadMbps: 2, maxLatencyMs: 300 },
+      limited: { minDownloadMbps: 0.5, maxLatencyMs: 1000 }
+    },
+    {
+      id: 'voice-call',
+      name: 'Voice call',
+      ready: { maxLatencyMs: 150, maxJitterMs: 30, maxPacketLoss: 0.01 },
+      limited: { maxLatencyMs: 300, maxJitterMs: 60, maxPacketLoss: 0.05 }
+    },
+    {
+      id: 'video-call',
+      name: 'Video call',
+      ready: { minDownloadMbps: 3, minUploadMbps: 1.5, maxLatencyMs: 150, maxJitterMs: 30, maxPacketLoss: 0.02 },
+      limited: { minDownloadMbps: 1, minUploadMbps: 0.5, maxLatencyMs: 300, maxJitterMs: 60, maxPacketLoss: 0.05 }
+    },
+    {
+      id: 'hd-streaming',
+      name: 'HD streaming',
+      ready: { minDownloadMbps: 5 },
+      limited: { minDownloadMbps: 3 }
+    }
+  ],
 
   // Speed test settings
   speedTest: {
     timeout: 5000,  // Timeout in milliseconds
-    testUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/leaflet.js',
-    testFileSize: 150000  // ~150KB
+    // Self-hosted endpoints served by the Worker (worker/index.js)
+    testUrl: '/api/speedtest/down',
+    testFileSize: 150000,  // ~150KB, only used when adaptive is off
+    // Adaptive download: grow the payload from initialBytes until a transfer
+    // lasts targetDuration ms, spending at most maxBytes per measurement
+    adaptive: true,
+    initialBytes: 25000,
+    maxBytes: 2000000,
+    targetDuration: 1500,
+    // Accepts a POST body and discards it
+    uploadUrl: '/api/speedtest/up',
+    uploadSize: 50000,  // ~50KB
+    // Empty download for the latency probes run before each download
+    latencyUrl: '/api/speedtest/down?bytes=0',
+    latencyProbeCount: 5,
+    latencyTimeout: 1000,  // Per probe; slower probes count as lost
+    // Estimated headers and framing of a request without payload, counted
+    // towards the data budget for each latency probe and heartbeat ping
+    requestBytes: 400,
+    // Comparison endpoints on other servers than testUrl, downloaded
+    // alongside each measurement. If only one of them drops, the problem is
+    // that server, not the signal. None by default; to compare with a CDN,
+    // add e.g.
+    //   { name: 'unpkg CDN', url: 'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js' }
+    // with `bytes` set to the file size to catch truncated bodies. Every
+    // download costs mobile data and counts towards dataBudget, and a
+    // third-party endpoint sees when and from where you measured
+    endpoints: [],
+    // 'parallel' tests all endpoints each time, so a point can show one of
+    // them down; 'rotate' tests one per measurement to save data, but then
+    // a point can't tell a server problem from the connection
+    endpointMode: 'parallel',
+    // Sustained mode (picked in the collector view): parallel downloads over
+    // a fixed window, sampled every second. Uses far more data than the
+    // adaptive test
+    sustainedStreams: 4,
+    sustainedDuration: 10000,
+    sustainedStreamBytes: 25000000
+  },
+
+  // Connectivity heartbeat between speed tests, to catch short drops
+  heartbeat: {
+    url: '/api/speedtest/down?bytes=0',
+    interval: 1000,        // Ping about once a second
+    timeout: 800,          // Slower pings count as failed
+    failureThreshold: 2    // Consecutive failures before the link counts as down
+  },
+
+  // Mobile data budget for speed tests. The monthly cap itself is set by
+  // the user in the collector view.
+  dataBudget: {
+    reduceAt: 0.75,            // From 75% of the cap, test less often...
+    reducedIntervalFactor: 3,  // ...at 3x the recording interval
+    latencyOnlyAt: 0.9         // From 90%, run latency probes only
   },
 
   // Geolocation settings
@@ -25,6 +133,48 @@ export const Config = {
     maximumAge: 0
   },
 
+  // Development: open the app with ?replay=<GPX or GeoJSON URL> (and
+  // optionally &replaySpeed=10) to play back a track instead of using GPS
+  replay: {
+    interval: 1000,     // Milliseconds between position updates
+    accuracy: 10,       // Reported accuracy in meters
+    defaultSpeed: 20    // m/s for tracks without timestamps
+  },
+
+  // Development: open the app with ?simulate=<name> to run speed tests
+  // against one of these scripts instead of the network (see
+  // SimulatedSpeedTestService). The heartbeat follows the script as well.
+  // Segments placed by km need ?replay as well
+  networkScripts: {
+    commute: {
+      baseline: { downloadMbps: 15, uploadMbps: 4, latencyMs: 60, jitterMs: 8, connectionType: 'cellular' },
+      segments: [
+        { name: 'Station Wi-Fi', atMs: 0, durationMs: 60000, connectionType: 'wifi', captivePortal: true },
+        { name: 'Cutting', atKm: 5, untilKm: 8, downloadMbps: 1.5, latencyMs: 400, jitterMs: 80, packetLoss: 0.2 },
+        { name: 'Tunnel', atKm: 12, durationMs: 40000, outage: true }
+      ]
+    }
+  },
+
+  // GPS smoothing: fixes implying travel faster than maxSpeed (m/s) since the
+  // last accepted one are dropped; after maxRejections in a row the filter
+  // starts over. processNoise (m/s) is how quickly the smoothed position is
+  // allowed to drift from its prediction between fixes
+  positionFilter: {
+    processNoise: 3,
+    maxSpeed: 100,      // 360 km/h
+    maxRejections: 3
+  },
+
+  // Stop detection (e.g. stations): points within `radius` meters of where
+  // the halt began, no faster than maxSpeed where the GPS reports a speed,
+  // for at least minDuration ms
+  stopDetection: {
+    maxSpeed: 1.5,      // 5.4 km/h
+    radius: 50,
+    minDuration: 30000
+  },
+
   // Maximum GPS accuracy in meters (points with worse accuracy are skipped)
   maxAccuracy: 100
 };
@@ -1,7 +1,11 @@
 import { Config } from './Config.js';
 import { GeolocationService } from './services/GeolocationService.js';
-import { SpeedTestService } from './services/SpeedTestService.js';
+import { ReplayGeolocationService } from './services/ReplayGeolocationService.js';
+import { WorkerSpeedTestService } from './services/WorkerSpeedTestService.js';
+import { SimulatedSpeedTestService } from './services/SimulatedSpeedTestService.js';
 import { StorageService } from './services/StorageService.js';
+import { HeartbeatService } from './services/HeartbeatService.js';
+import { NetworkEventService } from './services/NetworkEventService.js';
 import { CollectorView } from './views/CollectorView.js';
 import { MapView } from './views/MapView.js';
 
@@ -11,24 +15,45 @@ import { MapView } from './views/MapView.js';
  */
 class App {
   constructor() {
-    // Initialize services with config
+    // Initialize services with config. Measurements run in a worker so page
+    // activity doesn't skew timings
+    const geolocationService = this.createGeolocationService();
+    const speedTestService = this.createSpeedTestService(geolocationService);
     this.services = {
-      geolocationService: new GeolocationService(Config.geolocation),
-      speedTestService: new SpeedTestService(Config.speedTest),
-      storageService: new StorageService()
+      geolocationService,
+      speedTestService,
+      storageService: new StorageService(),
+      heartbeatService: new HeartbeatService({
+        ...Config.heartbeat,
+        requestBytes: Config.speedTest.requestBytes,
+        // Under ?simulate the heartbeat follows the script too
+        probe: speedTestService instanceof SimulatedSpeedTestService ? () => speedTestService.ping() : null
+      }),
+      networkEventService: new NetworkEventService(speedTestService)
     };
 
     // Initialize views with config
     this.views = {
       collector: new CollectorView(this.services, {
         recordingInterval: Config.recordingInterval,
-        maxAccuracy: Config.maxAccuracy
+        maxAccuracy: Config.maxAccuracy,
+        dataBudget: Config.dataBudget,
+        positionFilter: Config.positionFilter
       }),
       map: new MapView(this.services, {
-        maxAccuracy: Config.maxAccuracy
+        maxAccuracy: Config.maxAccuracy,
+        qualityProfiles: Config.qualityProfiles,
+        useCases: Config.useCases,
+        stopDetection: Config.stopDetection
       })
     };
 
+    // The profile is picked on the map view; the collector follows it
+    this.views.collector.setProfile(this.views.map.profile);
+    this.views.map.onProfileChanged = (profile) => {
+      this.views.collector.setProfile(profile);
+    };
+
     this.currentView = 'collector';
 
     // Wire up live map updates
@@ -43,6 +68,50 @@ class App {
     this.init();
   }
 
+  /**
+   * Creates the position source: GPS, or a replayed track when the page was
+   * opened with ?replay=<track URL> for development.
+   * @returns {GeolocationService|ReplayGeolocationService}
+   */
+  createGeolocationService() {
+    const params = new URLSearchParams(location.search);
+    const url = params.get('replay');
+    if (!url) {
+      return new GeolocationService(Config.geolocation);
+    }
+
+    const speedFactor = Number(params.get('replaySpeed')) || 1;
+    console.info(`Replaying ${url} at ${speedFactor}x instead of using GPS`);
+    return new ReplayGeolocationService({ ...Config.replay, url, speedFactor });
+  }
+
+  /**
+   * Creates the speed tester: the worker-backed one, or a scripted simulation
+   * when the page was opened with ?simulate=<script name> for development.
+   * @param {GeolocationService|ReplayGeolocationService} geolocationService
+   * @returns {WorkerSpeedTestService|SimulatedSpeedTestService}
+   */
+  createSpeedTestService(geolocationService) {
+    const params = new URLSearchParams(location.search);
+    const name = params.get('simulate');
+    // Own keys only, so ?simulate=constructor doesn't pick up Object.prototype
+    const script = Object.hasOwn(Config.networkScripts, name) ? Config.networkScripts[name] : null;
+    if (!script) {
+      if (name) {
+        console.warn(`Unknown network script "${name}"; using the real network`);
+      }
+      return new WorkerSpeedTestService(Config.speedTest);
+    }
+
+    console.info(`Simulating network conditions from the "${name}" script`);
+    return new SimulatedSpeedTestService({
+      ...Config.speedTest,
+      script,
+      speedFactor: Number(params.get('replaySpeed')) || 1,
+      getDistance: () => geolocationService.getDistanceTravelled?.() ?? 0
+    });
+  }
+
   /**
    * Initializes the application.
    */
@@ -1,3 +1,16 @@
+import { classify, DEFAULT_PROFILE } from '../utils/classification.js';
+
+export const EFFECTIVE_TYPES = ['slow-2g', '2g', '3g', '4g'];
+
+const TIMING_PHASES = ['dnsMs', 'connectMs', 'tlsMs', 'ttfbMs', 'transferMs'];
+
+const TEST_MODES = ['full', 'latency-only', 'sustained'];
+
+const FAILURE_REASONS = ['timeout', 'http-error', 'network-error', 'captive-portal', 'disconnected'];
+
+// Connection types meaning the test couldn't reach the internet
+const UNREACHABLE_TYPES = ['offline', 'disconnected', 'no-signal', 'captive-portal'];
+
 /**
  * Represents a single measurement point in a journey.
  */
@@ -8,18 +21,88 @@ export class DataPoint {
    * @param {number|null} data.latitude - GPS latitude (-90 to 90), null if location unavailable
    * @param {number|null} data.longitude - GPS longitude (-180 to 180), null if location unavailable
    * @param {number|null} data.accuracy - GPS accuracy in meters, null if location unavailable
+   * @param {number|null} [data.altitude] - GPS altitude in meters, null if not reported
+   * @param {number|null} [data.altitudeAccuracy] - Altitude accuracy in meters
+   * @param {number|null} [data.heading] - Direction of travel in degrees (0–360)
+   *   clockwise from true north, null if not reported or stationary
+   * @param {number|null} [data.groundSpeed] - Travel speed from GPS in m/s
+   * @param {Object|null} [data.rawPosition] - The GPS fix before smoothing:
+   *   { latitude, longitude, accuracy }; latitude/longitude above are the
+   *   smoothed values, accuracy stays the reported one. null when no
+   *   smoothing was applied
+   * @param {number|null} [data.smoothedAccuracy] - Uncertainty of the smoothed
+   *   latitude/longitude in meters, from the filter; null when no smoothing
+   *   was applied
+   * @param {boolean} [data.interpolated=false] - latitude/longitude were estimated
+   *   from the neighbouring located points, not measured (see
+   *   Journey.getInterpolatedPoints)
    * @param {number|null} data.speedMbps - Download speed in Mbps, null if offline
+   * @param {number|null} [data.uploadMbps] - Upload speed in Mbps, null if offline,
+   *   the upload failed, or the point predates upload measurement
+   * @param {number|null} [data.latencyMs] - Median round-trip time of the latency probes in ms
+   * @param {number|null} [data.jitterMs] - Mean variation between consecutive probe RTTs in ms
+   * @param {number|null} [data.packetLoss] - Share of failed latency probes (0–1)
+   * @param {number|null} [data.bytesTransferred] - Bytes downloaded and uploaded by the speed test
+   * @param {number|null} [data.testDurationMs] - Wall-clock duration of the speed test in ms
+   * @param {boolean} [data.partial=false] - speedMbps comes from a download that timed
+   *   out or dropped mid-transfer, counting only the bytes that arrived
+   * @param {Object|null} [data.networkInfo] - The browser's own connection estimate
+   *   (Network Information API): { effectiveType, downlink, rtt, saveData }, each
+   *   null if not reported; null when the API is unavailable
+   * @param {Object|null} [data.timing] - Resource Timing phases of the download in ms:
+   *   { dnsMs, connectMs, tlsMs, ttfbMs, transferMs }; null when not exposed
+   * @param {string} [data.testMode='full'] - 'full', 'latency-only' when only the
+   *   latency probes ran (to save mobile data), so speedMbps is null by design,
+   *   or 'sustained' when speedMbps is the mean of parallel downloads over a window
+   * @param {Object|null} [data.sustained] - Sustained-mode throughput:
+   *   { streams, peakMbps, meanMbps, samples } with samples in Mbps per second;
+   *   null for other test modes
+   * @param {Array|null} [data.endpoints] - Downloads from the comparison endpoints:
+   *   [{ name, speedMbps, partial }], speedMbps null for a failed endpoint;
+   *   null when no endpoints were tested
+   * @param {string|null} [data.testUrl] - Endpoint measured, without cache-busting;
+   *   null when no request was made or the point predates provenance
+   * @param {Object|null} [data.failure] - Why the download got no result:
+   *   { reason, httpStatus, bytesReceived, durationMs }; null when it worked
    * @param {string} data.connectionType - 'wifi', 'cellular', 'unknown',
    *   'disconnected' (no local network — e.g. tethering dropped),
    *   'no-signal' (local network up, upstream unreachable — e.g. phone lost
-   *   mobile signal), or 'offline' (legacy data from before the split).
+   *   mobile signal), 'captive-portal' (the network answered with a login
+   *   page instead of the test payload), or 'offline' (legacy data from
+   *   before the split).
    */
-  constructor({ timestamp, latitude, longitude, accuracy, speedMbps, connectionType }) {
+  constructor({ timestamp, latitude, longitude, accuracy, altitude = null, altitudeAccuracy = null,
+    heading = null, groundSpeed = null, rawPosition = null, smoothedAccuracy = null, interpolated = false, speedMbps, uploadMbps = null,
+    latencyMs = null, jitterMs = null, packetLoss = null,
+    bytesTransferred = null, testDurationMs = null, partial = false,
+    networkInfo = null, timing = null, testMode = 'full', endpoints = null, sustained = null,
+    testUrl = null, failure = null, connectionType }) {
     this.timestamp = timestamp;
     this.latitude = latitude;
     this.longitude = longitude;
     this.accuracy = accuracy;
+    this.altitude = altitude;
+    this.altitudeAccuracy = altitudeAccuracy;
+    this.heading = heading;
+    this.groundSpeed = groundSpeed;
+    this.rawPosition = rawPosition;
+    this.smoothedAccuracy = smoothedAccuracy;
+    this.interpolated = interpolated;
     this.speedMbps = speedMbps;
+    this.uploadMbps = uploadMbps;
+    this.latencyMs = latencyMs;
+    this.jitterMs = jitterMs;
+    this.packetLoss = packetLoss;
+    this.bytesTransferred = bytesTransferred;
+    this.testDurationMs = testDurationMs;
+    this.partial = partial;
+    this.networkInfo = networkInfo;
+    this.timing = timing;
+    this.testMode = testMode;
+    this.endpoints = endpoints;
+    this.sustained = sustained;
+    this.testUrl = testUrl;
+    this.failure = failure;
     this.connectionType = connectionType;
 
     this.validate();
@@ -50,16 +133,272 @@ export class DataPoint {
       throw new Error('Invalid accuracy: must be null or a non-negative number');
     }
 
+    if (this.altitude !== null && (typeof this.altitude !== 'number' || !Number.isFinite(this.altitude))) {
+      throw new Error('Invalid altitude: must be null or a number');
+    }
+
+    if (this.altitudeAccuracy !== null && (typeof this.altitudeAccuracy !== 'number' || this.altitudeAccuracy < 0)) {
+      throw new Error('Invalid altitudeAccuracy: must be null or a non-negative number');
+    }
+
+    if (this.heading !== null && (typeof this.heading !== 'number' || this.heading < 0 || this.heading > 360)) {
+      throw new Error('Invalid heading: must be null or between 0 and 360');
+    }
+
+    if (this.groundSpeed !== null && (typeof this.groundSpeed !== 'number' || this.groundSpeed < 0)) {
+      throw new Error('Invalid groundSpeed: must be null or a non-negative number');
+    }
+
+    if (this.rawPosition !== null) {
+      this.validateRawPosition();
+    }
+
+    if (this.smoothedAccuracy !== null) {
+      if (typeof this.smoothedAccuracy !== 'number' || this.smoothedAccuracy < 0) {
+        throw new Error('Invalid smoothedAccuracy: must be null or a non-negative number');
+      }
+      if (this.latitude === null) {
+        throw new Error('Invalid smoothedAccuracy: must be null for points without location');
+      }
+    }
+
+    if (typeof this.interpolated !== 'boolean') {
+      throw new Error('Invalid interpolated: must be a boolean');
+    }
+
+    if (this.interpolated && this.latitude === null) {
+      throw new Error('Invalid interpolated: an interpolated point needs coordinates');
+    }
+
     if (this.speedMbps !== null && (typeof this.speedMbps !== 'number' || this.speedMbps < 0)) {
       throw new Error('Invalid speedMbps: must be null or a non-negative number');
     }
 
-    const validConnectionTypes = ['wifi', 'cellular', 'unknown', 'offline', 'disconnected', 'no-signal'];
+    if (this.uploadMbps !== null && (typeof this.uploadMbps !== 'number' || this.uploadMbps < 0)) {
+      throw new Error('Invalid uploadMbps: must be null or a non-negative number');
+    }
+
+    if (this.latencyMs !== null && (typeof this.latencyMs !== 'number' || this.latencyMs < 0)) {
+      throw new Error('Invalid latencyMs: must be null or a non-negative number');
+    }
+
+    if (this.jitterMs !== null && (typeof this.jitterMs !== 'number' || this.jitterMs < 0)) {
+      throw new Error('Invalid jitterMs: must be null or a non-negative number');
+    }
+
+    if (this.packetLoss !== null && (typeof this.packetLoss !== 'number' || this.packetLoss < 0 || this.packetLoss > 1)) {
+      throw new Error('Invalid packetLoss: must be null or between 0 and 1');
+    }
+
+    if (this.bytesTransferred !== null && (typeof this.bytesTransferred !== 'number' || this.bytesTransferred < 0)) {
+      throw new Error('Invalid bytesTransferred: must be null or a non-negative number');
+    }
+
+    if (this.testDurationMs !== null && (typeof this.testDurationMs !== 'number' || this.testDurationMs < 0)) {
+      throw new Error('Invalid testDurationMs: must be null or a non-negative number');
+    }
+
+    if (typeof this.partial !== 'boolean') {
+      throw new Error('Invalid partial: must be a boolean');
+    }
+
+    if (this.networkInfo !== null) {
+      this.validateNetworkInfo();
+    }
+
+    if (this.timing !== null) {
+      if (typeof this.timing !== 'object') {
+        throw new Error('Invalid timing: must be null or an object');
+      }
+      TIMING_PHASES.forEach(phase => {
+        const value = this.timing[phase];
+        if (typeof value !== 'number' || value < 0) {
+          throw new Error(`Invalid timing.${phase}: must be a non-negative number`);
+        }
+      });
+    }
+
+    if (!TEST_MODES.includes(this.testMode)) {
+      throw new Error(`Invalid testMode: must be one of ${TEST_MODES.join(', ')}`);
+    }
+
+    if (this.sustained !== null) {
+      this.validateSustained();
+    }
+
+    if (this.endpoints !== null) {
+      this.validateEndpoints();
+    }
+
+    if (this.testUrl !== null && (typeof this.testUrl !== 'string' || this.testUrl === '')) {
+      throw new Error('Invalid testUrl: must be null or a non-empty string');
+    }
+
+    if (this.failure !== null) {
+      this.validateFailure();
+    }
+
+    const validConnectionTypes = ['wifi', 'cellular', 'unknown', 'offline', 'disconnected', 'no-signal', 'captive-portal'];
     if (!validConnectionTypes.includes(this.connectionType)) {
       throw new Error(`Invalid connectionType: must be one of ${validConnectionTypes.join(', ')}`);
     }
   }
 
+  /**
+   * Validates the unsmoothed GPS fix.
+   * @throws {Error} if validation fails
+   */
+  validateRawPosition() {
+    if (typeof this.rawPosition !== 'object') {
+      throw new Error('Invalid rawPosition: must be null or an object');
+    }
+
+    if (this.latitude === null) {
+      throw new Error('Invalid rawPosition: must be null for points without location');
+    }
+
+    const { latitude, longitude, accuracy } = this.rawPosition;
+
+    if (typeof latitude !== 'number' || latitude < -90 || latitude > 90) {
+      throw new Error('Invalid rawPosition.latitude: must be between -90 and 90');
+    }
+
+    if (typeof longitude !== 'number' || longitude < -180 || longitude > 180) {
+      throw new Error('Invalid rawPosition.longitude: must be between -180 and 180');
+    }
+
+    if (typeof accuracy !== 'number' || accuracy < 0) {
+      throw new Error('Invalid rawPosition.accuracy: must be a non-negative number');
+    }
+  }
+
+  /**
+   * Validates the Network Information API fields.
+   * @throws {Error} if validation fails
+   */
+  validateNetworkInfo() {
+    if (typeof this.networkInfo !== 'object') {
+      throw new Error('Invalid networkInfo: must be null or an object');
+    }
+
+    const { effectiveType, downlink, rtt, saveData } = this.networkInfo;
+
+    if (effectiveType != null && !EFFECTIVE_TYPES.includes(effectiveType)) {
+      throw new Error(`Invalid networkInfo.effectiveType: must be null or one of ${EFFECTIVE_TYPES.join(', ')}`);
+    }
+
+    if (downlink != null && (typeof downlink !== 'number' || downlink < 0)) {
+      throw new Error('Invalid networkInfo.downlink: must be null or a non-negative number');
+    }
+
+    if (rtt != null && (typeof rtt !== 'number' || rtt < 0)) {
+      throw new Error('Invalid networkInfo.rtt: must be null or a non-negative number');
+    }
+
+    if (saveData != null && typeof saveData !== 'boolean') {
+      throw new Error('Invalid networkInfo.saveData: must be null or a boolean');
+    }
+  }
+
+  /**
+   * Validates the comparison endpoint results.
+   * @throws {Error} if validation fails
+   */
+  validateEndpoints() {
+    if (!Array.isArray(this.endpoints)) {
+      throw new Error('Invalid endpoints: must be null or an array');
+    }
+
+    this.endpoints.forEach((endpoint, i) => {
+      if (typeof endpoint !== 'object' || endpoint === null) {
+        throw new Error(`Invalid endpoints[${i}]: must be an object`);
+      }
+      if (typeof endpoint.name !== 'string' || endpoint.name === '') {
+        throw new Error(`Invalid endpoints[${i}].name: must be a non-empty string`);
+      }
+      if (endpoint.speedMbps !== null && (typeof endpoint.speedMbps !== 'number' || endpoint.speedMbps < 0)) {
+        throw new Error(`Invalid endpoints[${i}].speedMbps: must be null or a non-negative number`);
+      }
+      if (typeof endpoint.partial !== 'boolean') {
+        throw new Error(`Invalid endpoints[${i}].partial: must be a boolean`);
+      }
+    });
+  }
+
+  /**
+   * Validates the sustained-mode throughput figures.
+   * @throws {Error} if validation fails
+   */
+  validateSustained() {
+    if (typeof this.sustained !== 'object') {
+      throw new Error('Invalid sustained: must be null or an object');
+    }
+
+    const { streams, peakMbps, meanMbps, samples } = this.sustained;
+
+    if (!Number.isInteger(streams) || streams < 1) {
+      throw new Error('Invalid sustained.streams: must be a positive integer');
+    }
+
+    if (typeof peakMbps !== 'number' || peakMbps < 0) {
+      throw new Error('Invalid sustained.peakMbps: must be a non-negative number');
+    }
+
+    if (typeof meanMbps !== 'number' || meanMbps < 0) {
+      throw new Error('Invalid sustained.meanMbps: must be a non-negative number');
+    }
+
+    if (!Array.isArray(samples) || samples.some(sample => typeof sample !== 'number' || sample < 0)) {
+      throw new Error('Invalid sustained.samples: must be an array of non-negative numbers');
+    }
+  }
+
+  /**
+   * Validates the failure details.
+   * @throws {Error} if validation fails
+   */
+  validateFailure() {
+    if (typeof this.failure !== 'object') {
+      throw new Error('Invalid failure: must be null or an object');
+    }
+
+    const { reason, httpStatus, bytesReceived, durationMs } = this.failure;
+
+    if (!FAILURE_REASONS.includes(reason)) {
+      throw new Error(`Invalid failure.reason: must be one of ${FAILURE_REASONS.join(', ')}`);
+    }
+
+    if (httpStatus !== null && (!Number.isInteger(httpStatus) || httpStatus < 100 || httpStatus > 599)) {
+      throw new Error('Invalid failure.httpStatus: must be null or an HTTP status code');
+    }
+
+    if (typeof bytesReceived !== 'number' || bytesReceived < 0) {
+      throw new Error('Invalid failure.bytesReceived: must be a non-negative number');
+    }
+
+    if (typeof durationMs !== 'number' || durationMs < 0) {
+      throw new Error('Invalid failure.durationMs: must be a non-negative number');
+    }
+  }
+
+  /**
+   * Summarises the comparison endpoints: whether all of them answered, some
+   * failed (a problem at those servers), or all failed (most likely the
+   * connection itself).
+   * @returns {'all-up'|'some-down'|'all-down'|null} null when no endpoints were tested
+   */
+  getEndpointStatus() {
+    if (this.endpoints === null || this.endpoints.length === 0) {
+      return null;
+    }
+
+    const down = this.endpoints.filter(endpoint => endpoint.speedMbps === null).length;
+    if (down === 0) {
+      return 'all-up';
+    }
+    return down === this.endpoints.length ? 'all-down' : 'some-down';
+  }
+
   /**
    * Whether this point has GPS coordinates (recording works without them
    * when location is disabled or unavailable).
@@ -70,31 +409,45 @@ export class DataPoint {
   }
 
   /**
-   * Returns the quality level based on speed.
-   * @returns {'good'|'moderate'|'poor'|'offline'}
+   * Whether the link was reachable when this point was measured.
+   * @returns {boolean}
+   */
+  isReachable() {
+    return !UNREACHABLE_TYPES.includes(this.connectionType);
+  }
+
+  /**
+   * Returns the quality level under a quality profile (see
+   * utils/classification.js). Latency-only points on a reachable link have
+   * no speed to judge, so they are 'unmeasured'.
+   * @param {Object} [profile=DEFAULT_PROFILE]
+   * @returns {'good'|'moderate'|'poor'|'offline'|'unmeasured'}
    */
-  getQuality() {
+  getQuality(profile = DEFAULT_PROFILE) {
     if (this.speedMbps === null) {
-      return 'offline';
-    }
-    if (this.speedMbps >= 2) {
-      return 'good';
-    }
-    if (this.speedMbps >= 1) {
-      return 'moderate';
+      return this.testMode === 'latency-only' && this.isReachable() ? 'unmeasured' : 'offline';
     }
-    return 'poor';
+    return classify(this, profile);
   }
 
   /**
    * Returns the color for map display based on quality.
    * Offline points are split: 'disconnected' (tether dropped) renders darker
    * than 'no-signal' (upstream unreachable) so you can tell them apart at a
-   * glance on the map.
+   * glance on the map. Captive portals get their own purple: the local
+   * network works, it just wants a login. Latency-only points on a live
+   * link are blue-grey.
+   * @param {Object} [profile=DEFAULT_PROFILE] - Quality profile to judge by
    * @returns {string} Hex color code
    */
-  getColor() {
+  getColor(profile = DEFAULT_PROFILE) {
     if (this.speedMbps === null) {
+      if (this.connectionType === 'captive-portal') {
+        return '#9C27B0';
+      }
+      if (this.getQuality() === 'unmeasured') {
+        return '#607D8B';
+      }
       return this.connectionType === 'disconnected' ? '#424242' : '#9E9E9E';
     }
     const colors = {
@@ -102,7 +455,7 @@ export class DataPoint {
       moderate: '#FFC107',
       poor: '#f44336'
     };
-    return colors[this.getQuality()];
+    return colors[this.getQuality(profile)];
   }
 
   /**
@@ -115,7 +468,28 @@ export class DataPoint {
       latitude: this.latitude,
       longitude: this.longitude,
       accuracy: this.accuracy,
+      altitude: this.altitude,
+      altitudeAccuracy: this.altitudeAccuracy,
+      heading: this.heading,
+      groundSpeed: this.groundSpeed,
+      rawPosition: this.rawPosition,
+      smoothedAccuracy: this.smoothedAccuracy,
+      interpolated: this.interpolated,
       speedMbps: this.speedMbps,
+      uploadMbps: this.uploadMbps,
+      latencyMs: this.latencyMs,
+      jitterMs: this.jitterMs,
+      packetLoss: this.packetLoss,
+      bytesTransferred: this.bytesTransferred,
+      testDurationMs: this.testDurationMs,
+      partial: this.partial,
+      networkInfo: this.networkInfo,
+      timing: this.timing,
+      testMode: this.testMode,
+      endpoints: this.endpoints,
+      sustained: this.sustained,
+      testUrl: this.testUrl,
+      failure: this.failure,
       connectionType: this.connectionType
     };
   }
@@ -1,4 +1,15 @@
-import { DataPoint } from './DataPoint.js';
+import { DataPoint, EFFECTIVE_TYPES } from './DataPoint.js';
+import { DEFAULT_PROFILE } from '../utils/classification.js';
+import { getReadiness } from '../utils/readiness.js';
+import { haversineDistance } from '../utils/geo.js';
+
+const NETWORK_EVENT_TYPES = ['online', 'offline', 'change'];
+
+// Geolocation permission states (Permissions API)
+const PERMISSION_STATES = ['granted', 'denied', 'prompt'];
+
+// Connection types as reported by the browser, before any test ran
+const BROWSER_CONNECTION_TYPES = ['wifi', 'cellular', 'unknown', 'disconnected'];
 
 /**
  * Generates a UUID v4.
@@ -12,6 +23,39 @@ function generateUUID() {
   });
 }
 
+/**
+ * Returns the mean of the non-null values, or null if there are none.
+ * @param {Array<number|null>} values
+ * @returns {number|null}
+ */
+function average(values) {
+  const present = values.filter(v => v !== null);
+  return present.length > 0
+    ? present.reduce((a, b) => a + b, 0) / present.length
+    : null;
+}
+
+/**
+ * Checks that an event carries a timestamp and either both coordinates or
+ * neither.
+ * @param {Object} event
+ * @param {string} field - Name of the event list, for error messages
+ * @throws {Error} if validation fails
+ */
+function validateEventPosition(event, field) {
+  if (typeof event.timestamp !== 'number' || event.timestamp <= 0) {
+    throw new Error(`Invalid ${field}.timestamp: must be a positive number`);
+  }
+
+  if ((event.latitude === null) !== (event.longitude === null)) {
+    throw new Error(`Invalid ${field} coordinates: latitude and longitude must both be set or both be null`);
+  }
+
+  if (event.latitude !== null && (typeof event.latitude !== 'number' || typeof event.longitude !== 'number')) {
+    throw new Error(`Invalid ${field} coordinates: must be null or numbers`);
+  }
+}
+
 /**
  * Represents a journey containing multiple data points.
  */
@@ -23,8 +67,18 @@ export class Journey {
    * @param {number} data.startTime - Unix timestamp in milliseconds
    * @param {number|null} [data.endTime] - Unix timestamp in milliseconds, null if ongoing
    * @param {Array<DataPoint|Object>} [data.dataPoints] - Array of data points
+   * @param {Array<Object>} [data.connectivityEvents] - Up/down transitions seen by
+   *   the heartbeat between measurements: { timestamp, state: 'up'|'down',
+   *   latitude, longitude }, coordinates null without a position fix
+   * @param {Array<Object>} [data.networkEvents] - Browser online/offline and connection
+   *   change events: { timestamp, type: 'online'|'offline'|'change', connectionType,
+   *   effectiveType, latitude, longitude }
+   * @param {Array<Object>} [data.permissionEvents] - Geolocation permission changes
+   *   while recording: { timestamp, state: 'granted'|'denied'|'prompt', latitude,
+   *   longitude }. Anything but 'granted' switched the recording to speed only
    */
-  constructor({ id, name, startTime, endTime = null, dataPoints = [] }) {
+  constructor({ id, name, startTime, endTime = null, dataPoints = [], connectivityEvents = [], networkEvents = [],
+    permissionEvents = [] }) {
     this.id = id || generateUUID();
     this.name = name;
     this.startTime = startTime;
@@ -32,6 +86,9 @@ export class Journey {
     this.dataPoints = dataPoints.map(dp =>
       dp instanceof DataPoint ? dp : DataPoint.fromJSON(dp)
     );
+    this.connectivityEvents = connectivityEvents;
+    this.networkEvents = networkEvents;
+    this.permissionEvents = permissionEvents;
 
     this.validate();
   }
@@ -64,6 +121,63 @@ export class Journey {
     if (!Array.isArray(this.dataPoints)) {
       throw new Error('Invalid dataPoints: must be an array');
     }
+
+    if (!Array.isArray(this.connectivityEvents)) {
+      throw new Error('Invalid connectivityEvents: must be an array');
+    }
+    this.connectivityEvents.forEach(event => this.validateConnectivityEvent(event));
+
+    if (!Array.isArray(this.networkEvents)) {
+      throw new Error('Invalid networkEvents: must be an array');
+    }
+    this.networkEvents.forEach(event => this.validateNetworkEvent(event));
+
+    if (!Array.isArray(this.permissionEvents)) {
+      throw new Error('Invalid permissionEvents: must be an array');
+    }
+    this.permissionEvents.forEach(event => this.validatePermissionEvent(event));
+  }
+
+  /**
+   * Validates a single connectivity event.
+   * @param {Object} event
+   * @throws {Error} if validation fails
+   */
+  validateConnectivityEvent(event) {
+    if (!['up', 'down'].includes(event.state)) {
+      throw new Error('Invalid connectivityEvents.state: must be one of up, down');
+    }
+    validateEventPosition(event, 'connectivityEvents');
+  }
+
+  /**
+   * Validates a single browser network event.
+   * @param {Object} event
+   * @throws {Error} if validation fails
+   */
+  validateNetworkEvent(event) {
+    if (!NETWORK_EVENT_TYPES.includes(event.type)) {
+      throw new Error(`Invalid networkEvents.type: must be one of ${NETWORK_EVENT_TYPES.join(', ')}`);
+    }
+    if (!BROWSER_CONNECTION_TYPES.includes(event.connectionType)) {
+      throw new Error(`Invalid networkEvents.connectionType: must be one of ${BROWSER_CONNECTION_TYPES.join(', ')}`);
+    }
+    if (event.effectiveType !== null && !EFFECTIVE_TYPES.includes(event.effectiveType)) {
+      throw new Error(`Invalid networkEvents.effectiveType: must be null or one of ${EFFECTIVE_TYPES.join(', ')}`);
+    }
+    validateEventPosition(event, 'networkEvents');
+  }
+
+  /**
+   * Validates a single geolocation permission event.
+   * @param {Object} event
+   * @throws {Error} if validation fails
+   */
+  validatePermissionEvent(event) {
+    if (!PERMISSION_STATES.includes(event.state)) {
+      throw new Error(`Invalid permissionEvents.state: must be one of ${PERMISSION_STATES.join(', ')}`);
+    }
+    validateEventPosition(event, 'permissionEvents');
   }
 
   /**
@@ -75,6 +189,128 @@ export class Journey {
     this.dataPoints.push(point);
   }
 
+  /**
+   * Records a connectivity transition seen by the heartbeat.
+   * @param {'up'|'down'} state
+   * @param {number} timestamp
+   * @param {{latitude: number, longitude: number}|null} position - Latest fix, if any
+   */
+  addConnectivityEvent(state, timestamp, position) {
+    const event = {
+      timestamp,
+      state,
+      latitude: position?.latitude ?? null,
+      longitude: position?.longitude ?? null
+    };
+    this.validateConnectivityEvent(event);
+    this.connectivityEvents.push(event);
+  }
+
+  /**
+   * Records a browser network event (see NetworkEventService).
+   * @param {{timestamp: number, type: string, connectionType: string, effectiveType: string|null}} event
+   * @param {{latitude: number, longitude: number}|null} position - Latest fix, if any
+   */
+  addNetworkEvent({ timestamp, type, connectionType, effectiveType }, position) {
+    const event = {
+      timestamp,
+      type,
+      connectionType,
+      effectiveType,
+      latitude: position?.latitude ?? null,
+      longitude: position?.longitude ?? null
+    };
+    this.validateNetworkEvent(event);
+    this.networkEvents.push(event);
+  }
+
+  /**
+   * Records a change of the geolocation permission.
+   * @param {'granted'|'denied'|'prompt'} state
+   * @param {number} timestamp
+   * @param {{latitude: number, longitude: number}|null} position - Latest fix, if any
+   */
+  addPermissionEvent(state, timestamp, position) {
+    const event = {
+      timestamp,
+      state,
+      latitude: position?.latitude ?? null,
+      longitude: position?.longitude ?? null
+    };
+    this.validatePermissionEvent(event);
+    this.permissionEvents.push(event);
+  }
+
+  /**
+   * Returns the data points with estimated positions for those recorded
+   * without one (speed-only mode, GPS dropouts). Such a point is placed on
+   * the straight line between the located points before and after it, in
+   * proportion to its timestamp, and marked `interpolated`. Points before the
+   * first or after the last located point stay unlocated. The journey's own
+   * points are left untouched.
+   * @returns {DataPoint[]} One entry per data point, in order
+   */
+  getInterpolatedPoints() {
+    let previous = null;
+    const nextLocated = new Array(this.dataPoints.length).fill(null);
+    for (let i = this.dataPoints.length - 1, next = null; i >= 0; i--) {
+      nextLocated[i] = next;
+      if (this.dataPoints[i].hasLocation()) {
+        next = this.dataPoints[i];
+      }
+    }
+
+    return this.dataPoints.map((dp, i) => {
+      if (dp.hasLocation()) {
+        previous = dp;
+        return dp;
+      }
+
+      const next = nextLocated[i];
+      if (previous === null || next === null) {
+        return dp;
+      }
+
+      const span = next.timestamp - previous.timestamp;
+      const fraction = span > 0 ? Math.min(1, Math.max(0, (dp.timestamp - previous.timestamp) / span)) : 0;
+      return new DataPoint({
+        ...dp.toJSON(),
+        latitude: previous.latitude + (next.latitude - previous.latitude) * fraction,
+        longitude: previous.longitude + (next.longitude - previous.longitude) * fraction,
+        interpolated: true
+      });
+    });
+  }
+
+  /**
+   * Returns the periods the heartbeat saw the connection down. An outage
+   * still open at the end of the recording runs to endTime (null while
+   * recording).
+   * @returns {Array<{start: number, end: number|null, startEvent: Object, endEvent: Object|null}>}
+   */
+  getOutages() {
+    const outages = [];
+    let current = null;
+
+    this.connectivityEvents.forEach(event => {
+      if (event.state === 'down' && current === null) {
+        current = { start: event.timestamp, end: null, startEvent: event, endEvent: null };
+      } else if (event.state === 'up' && current !== null) {
+        current.end = event.timestamp;
+        current.endEvent = event;
+        outages.push(current);
+        current = null;
+      }
+    });
+
+    if (current !== null) {
+      current.end = this.endTime;
+      outages.push(current);
+    }
+
+    return outages;
+  }
+
   /**
    * Ends the journey with the given timestamp.
    * @param {number} [timestamp] - Unix timestamp, defaults to current time
@@ -100,11 +336,204 @@ export class Journey {
     return end - this.startTime;
   }
 
+  /**
+   * Returns how far along the route each data point was: the haversine
+   * distance between successive located points, summed up to it. Points
+   * without a fix are placed between their neighbours as in
+   * getInterpolatedPoints; those before the first or after the last fix
+   * can't be placed and get null.
+   * @returns {Array<number|null>} Meters, one entry per data point
+   */
+  getRouteDistances() {
+    let distance = 0;
+    let previous = null;
+    return this.getInterpolatedPoints().map(dp => {
+      if (!dp.hasLocation()) {
+        return null;
+      }
+      if (previous !== null) {
+        distance += haversineDistance(previous.latitude, previous.longitude, dp.latitude, dp.longitude);
+      }
+      previous = dp;
+      return distance;
+    });
+  }
+
+  /**
+   * Returns the distance travelled between the first and last located points.
+   * @returns {number} Meters; 0 with fewer than two located points
+   */
+  getDistance() {
+    const distances = this.getRouteDistances().filter(distance => distance !== null);
+    return distances.length > 0 ? distances[distances.length - 1] : 0;
+  }
+
+  /**
+   * Returns the speed-test bytes used by this journey's measurements.
+   * @returns {number}
+   */
+  getDataUsage() {
+    return this.dataPoints.reduce((sum, dp) => sum + (dp.bytesTransferred ?? 0), 0);
+  }
+
+  /**
+   * Returns the stretch of the journey each data point stands for. A point
+   * covers the time from halfway since the previous point to halfway until
+   * the next; the first reaches back to startTime and the last forward to
+   * endTime (or just itself while recording).
+   * @returns {Array<{from: number, to: number}>} One span per data point, in ms
+   */
+  getPointSpans() {
+    const points = this.dataPoints;
+    return points.map((dp, i) => ({
+      from: i === 0
+        ? Math.min(this.startTime, dp.timestamp)
+        : (points[i - 1].timestamp + dp.timestamp) / 2,
+      to: i === points.length - 1
+        ? Math.max(this.endTime ?? dp.timestamp, dp.timestamp)
+        : (dp.timestamp + points[i + 1].timestamp) / 2
+    }));
+  }
+
+  /**
+   * Returns how much of the journey each data point stands for, in ms (see
+   * getPointSpans).
+   * @returns {number[]} One duration per data point
+   */
+  getPointDurations() {
+    return this.getPointSpans().map(({ from, to }) => to - from);
+  }
+
+  /**
+   * Finds the points where the journey stood still, e.g. at stations. A
+   * stop is a run of located points that all stay within `radius` of the
+   * first and, where the GPS reports a ground speed, move no faster than
+   * `maxSpeed`, lasting at least `minDuration`. Points without a fix
+   * between two such points belong to the stop.
+   * @param {Object} options - See Config.stopDetection
+   * @param {number} options.maxSpeed - m/s
+   * @param {number} options.radius - Meters
+   * @param {number} options.minDuration - ms
+   * @returns {boolean[]} One entry per data point, true for stopped
+   */
+  getStoppedPoints({ maxSpeed, radius, minDuration }) {
+    const points = this.dataPoints;
+    const stopped = new Array(points.length).fill(false);
+    let run = null;
+
+    const endRun = () => {
+      if (run !== null && points[run.end].timestamp - points[run.start].timestamp >= minDuration) {
+        stopped.fill(true, run.start, run.end + 1);
+      }
+      run = null;
+    };
+
+    points.forEach((dp, i) => {
+      if (!dp.hasLocation()) {
+        return;
+      }
+      const slow = dp.groundSpeed === null || dp.groundSpeed <= maxSpeed;
+      if (run !== null && slow &&
+          haversineDistance(run.anchor.latitude, run.anchor.longitude, dp.latitude, dp.longitude) <= radius) {
+        run.end = i;
+        return;
+      }
+      endRun();
+      if (slow) {
+        run = { start: i, end: i, anchor: dp };
+      }
+    });
+    endRun();
+
+    return stopped;
+  }
+
+  /**
+   * Splits the journey into alternating 'stop' and 'moving' segments (see
+   * getStoppedPoints), each with the getStats() figures for its own points.
+   * Outages are left out of segment stats, as they don't split cleanly.
+   * @param {Object} options - See getStoppedPoints
+   * @param {Object} [profile=DEFAULT_PROFILE] - Quality profile for qualityCounts
+   * @param {Array<Object>} [useCases=[]] - Use cases for useCaseReadiness
+   * @returns {Array<{type: 'stop'|'moving', start: number, end: number, startIndex: number,
+   *   endIndex: number, latitude: number|null, longitude: number|null,
+   *   distanceFrom: number|null, distanceTo: number|null, stats: Object}>}
+   *   start/end in ms; startIndex/endIndex into dataPoints (inclusive); the
+   *   coordinates are the centre of the segment's located points; distanceFrom
+   *   and distanceTo are meters along the route (see getRouteDistances)
+   */
+  getSegments(options, profile = DEFAULT_PROFILE, useCases = []) {
+    const stopped = this.getStoppedPoints(options);
+    const spans = this.getPointSpans();
+    const distances = this.getRouteDistances();
+
+    const segments = [];
+    stopped.forEach((isStopped, i) => {
+      const type = isStopped ? 'stop' : 'moving';
+      const last = segments[segments.length - 1];
+      if (last?.type === type) {
+        last.endIndex = i;
+      } else {
+        segments.push({ type, startIndex: i, endIndex: i });
+      }
+    });
+
+    return segments.map(({ type, startIndex, endIndex }) => {
+      const dataPoints = this.dataPoints.slice(startIndex, endIndex + 1);
+      const located = dataPoints.filter(dp => dp.hasLocation());
+      const start = spans[startIndex].from;
+      const end = spans[endIndex].to;
+      const segment = new Journey({ name: this.name, startTime: start, endTime: end, dataPoints });
+      const { outageCount, outageDuration, ...stats } = segment.getStats(profile, useCases);
+      const routeDistances = distances.slice(startIndex, endIndex + 1).filter(distance => distance !== null);
+
+      return {
+        type,
+        start,
+        end,
+        startIndex,
+        endIndex,
+        latitude: average(located.map(dp => dp.latitude)),
+        longitude: average(located.map(dp => dp.longitude)),
+        distanceFrom: routeDistances.length > 0 ? routeDistances[0] : null,
+        distanceTo: routeDistances.length > 0 ? routeDistances[routeDistances.length - 1] : null,
+        stats
+      };
+    });
+  }
+
+  /**
+   * Returns the share of journey time (0–1) each use case was ready for,
+   * counting only time whose points could be judged for it.
+   * @param {Array<Object>} useCases - See Config.useCases
+   * @returns {Object<string, number|null>} Keyed by use case id; null when no point could be judged
+   */
+  getUseCaseReadiness(useCases) {
+    const durations = this.getPointDurations();
+    return Object.fromEntries(useCases.map(useCase => {
+      let judged = 0;
+      let ready = 0;
+      this.dataPoints.forEach((dp, i) => {
+        const readiness = getReadiness(dp, useCase);
+        if (readiness !== null) {
+          judged += durations[i];
+          if (readiness === 'ready') {
+            ready += durations[i];
+          }
+        }
+      });
+      return [useCase.id, judged > 0 ? ready / judged : null];
+    }));
+  }
+
   /**
    * Returns statistics about the journey.
+   * @param {Object} [profile=DEFAULT_PROFILE] - Quality profile for qualityCounts
+   * @param {Array<Object>} [useCases=[]] - Use cases for useCaseReadiness, the
+   *   same ones the map judges points by
    * @returns {Object}
    */
-  getStats() {
+  getStats(profile = DEFAULT_PROFILE, useCases = []) {
     const speeds = this.dataPoints
       .map(dp => dp.speedMbps)
       .filter(speed => speed !== null);
@@ -113,9 +542,15 @@ export class Journey {
       ? speeds.reduce((a, b) => a + b, 0) / speeds.length
       : null;
 
-    const qualityCounts = { good: 0, moderate: 0, poor: 0, offline: 0 };
+    const uploads = this.dataPoints
+      .map(dp => dp.uploadMbps)
+      .filter(speed => speed !== null);
+
+    const outages = this.getOutages();
+
+    const qualityCounts = { good: 0, moderate: 0, poor: 0, offline: 0, unmeasured: 0 };
     this.dataPoints.forEach(dp => {
-      qualityCounts[dp.getQuality()]++;
+      qualityCounts[dp.getQuality(profile)]++;
     });
 
     return {
@@ -123,8 +558,19 @@ export class Journey {
       avgSpeed,
       maxSpeed: speeds.length > 0 ? Math.max(...speeds) : null,
       minSpeed: speeds.length > 0 ? Math.min(...speeds) : null,
+      avgUpload: average(uploads),
+      maxUpload: uploads.length > 0 ? Math.max(...uploads) : null,
+      minUpload: uploads.length > 0 ? Math.min(...uploads) : null,
+      avgLatency: average(this.dataPoints.map(dp => dp.latencyMs)),
+      avgJitter: average(this.dataPoints.map(dp => dp.jitterMs)),
+      avgPacketLoss: average(this.dataPoints.map(dp => dp.packetLoss)),
       qualityCounts,
-      duration: this.getDuration()
+      useCaseReadiness: this.getUseCaseReadiness(useCases),
+      bytesTransferred: this.getDataUsage(),
+      outageCount: outages.length,
+      outageDuration: outages.reduce((sum, outage) => sum + ((outage.end ?? Date.now()) - outage.start), 0),
+      duration: this.getDuration(),
+      distance: this.getDistance()
     };
   }
 
@@ -138,7 +584,10 @@ export class Journey {
       name: this.name,
       startTime: this.startTime,
       endTime: this.endTime,
-      dataPoints: this.dataPoints.map(dp => dp.toJSON())
+      dataPoints: this.dataPoints.map(dp => dp.toJSON()),
+      connectivityEvents: this.connectivityEvents,
+      networkEvents: this.networkEvents,
+      permissionEvents: this.permissionEvents
     };
   }
 
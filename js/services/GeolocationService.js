@@ -1,3 +1,37 @@
+/**
+ * @typedef {Object} Position
+ * A position fix. Fields the device doesn't report are null.
+ * @property {number} latitude
+ * @property {number} longitude
+ * @property {number} accuracy - Horizontal accuracy in meters
+ * @property {number|null} altitude - Meters above the WGS84 ellipsoid
+ * @property {number|null} altitudeAccuracy - In meters
+ * @property {number|null} heading - Direction of travel in degrees clockwise
+ *   from true north; null when not moving
+ * @property {number|null} speed - Ground speed in m/s
+ * @property {number} timestamp
+ */
+
+/**
+ * Converts a browser GeolocationPosition to a plain Position.
+ * @param {GeolocationPosition} position
+ * @returns {Position}
+ */
+function toPosition({ coords, timestamp }) {
+  // Missing values are null, but heading is NaN while stationary
+  const orNull = (value) => (value === undefined || Number.isNaN(value) ? null : value);
+  return {
+    latitude: coords.latitude,
+    longitude: coords.longitude,
+    accuracy: coords.accuracy,
+    altitude: orNull(coords.altitude),
+    altitudeAccuracy: orNull(coords.altitudeAccuracy),
+    heading: orNull(coords.heading),
+    speed: orNull(coords.speed),
+    timestamp
+  };
+}
+
 /**
  * Service for handling geolocation operations.
  * Wraps the navigator.geolocation API with a Promise-based interface.
@@ -15,6 +49,9 @@ export class GeolocationService {
       timeout: options.timeout ?? 10000,
       maximumAge: options.maximumAge ?? 0
     };
+    // Set while watchPermission is listening
+    this.permissionStatus = null;
+    this.onPermissionChange = null;
   }
 
   /**
@@ -27,7 +64,7 @@ export class GeolocationService {
 
   /**
    * Gets the current position.
-   * @returns {Promise<{latitude: number, longitude: number, accuracy: number, timestamp: number}>}
+   * @returns {Promise<Position>}
    */
   getCurrentPosition() {
     return new Promise((resolve, reject) => {
@@ -38,12 +75,7 @@ export class GeolocationService {
 
       navigator.geolocation.getCurrentPosition(
         (position) => {
-          resolve({
-            latitude: position.coords.latitude,
-            longitude: position.coords.longitude,
-            accuracy: position.coords.accuracy,
-            timestamp: position.timestamp
-          });
+          resolve(toPosition(position));
         },
         (error) => {
           reject(this.translateError(error));
@@ -55,7 +87,7 @@ export class GeolocationService {
 
   /**
    * Watches position changes.
-   * @param {Function} onPosition - Callback for position updates
+   * @param {Function} onPosition - Callback for position updates, with a Position
    * @param {Function} onError - Callback for errors
    * @returns {number} Watch ID for clearing the watch
    */
@@ -67,12 +99,7 @@ export class GeolocationService {
 
     return navigator.geolocation.watchPosition(
       (position) => {
-        onPosition({
-          latitude: position.coords.latitude,
-          longitude: position.coords.longitude,
-          accuracy: position.coords.accuracy,
-          timestamp: position.timestamp
-        });
+        onPosition(toPosition(position));
       },
       (error) => {
         onError(this.translateError(error));
@@ -91,6 +118,44 @@ export class GeolocationService {
     }
   }
 
+  /**
+   * Listens for the geolocation permission being granted or revoked (e.g. in
+   * the browser's site settings), using the Permissions API. Does nothing
+   * where the API or the geolocation permission name isn't supported.
+   * Replaces any previous listener.
+   * @param {Function} onChange - Called with 'granted', 'denied' or 'prompt'
+   * @returns {Promise<void>}
+   */
+  async watchPermission(onChange) {
+    this.unwatchPermission();
+    this.onPermissionChange = () => onChange(this.permissionStatus.state);
+    const listener = this.onPermissionChange;
+
+    let status;
+    try {
+      status = await navigator.permissions?.query({ name: 'geolocation' });
+    } catch (error) {
+      console.warn('Cannot watch the geolocation permission:', error.message);
+      return;
+    }
+
+    // Unwatched, or watched again, while the query was pending
+    if (!status || this.onPermissionChange !== listener) {
+      return;
+    }
+    this.permissionStatus = status;
+    status.addEventListener('change', listener);
+  }
+
+  /**
+   * Stops listening for permission changes.
+   */
+  unwatchPermission() {
+    this.permissionStatus?.removeEventListener('change', this.onPermissionChange);
+    this.permissionStatus = null;
+    this.onPermissionChange = null;
+  }
+
   /**
    * Translates geolocation error codes to user-friendly messages.
    * @param {GeolocationPositionError} error
@@ -0,0 +1,174 @@
+import { BackgroundTimer } from '../utils/BackgroundTimer.js';
+
+/**
+ * Lightweight connectivity check that runs between full speed tests.
+ *
+ * Pings a tiny resource about once a second and reports up/down
+ * transitions, so short drops (e.g. in tunnels) that fall between two
+ * measurements are still recorded. A single lost ping doesn't count as an
+ * outage: the link is only reported down after failureThreshold
+ * consecutive failures, timestamped at the first of them. The first
+ * state after start() is always reported, so an outage that is already
+ * underway when recording starts is not missed.
+ *
+ * The cadence runs on a BackgroundTimer so it keeps going in background tabs.
+ */
+export class HeartbeatService {
+  /**
+   * @param {Object} options
+   * @param {string} [options.url] - Tiny resource to ping
+   * @param {number} [options.interval=1000] - Time between pings in ms
+   * @param {number} [options.timeout=800] - Ping timeout in ms; slower pings count as failed
+   * @param {number} [options.failureThreshold=2] - Consecutive failures before the
+   *   link counts as down
+   * @param {number} [options.requestBytes=0] - Estimated bytes on the wire per
+   *   ping (see SpeedTestService), for data usage
+   * @param {Function} [options.probe] - Replaces the network request of each
+   *   ping, e.g. with simulated conditions; resolves to whether it got through
+   */
+  constructor(options = {}) {
+    this.url = options.url || '/api/speedtest/down?bytes=0';
+    this.interval = options.interval ?? 1000;
+    this.timeout = options.timeout ?? 800;
+    this.failureThreshold = options.failureThreshold ?? 2;
+    this.probe = options.probe ?? null;
+    this.requestBytes = options.requestBytes ?? 0;
+    // Estimated bytes pinged away since takeBytesUsed last ran
+    this.bytesUsed = 0;
+
+    this.timer = new BackgroundTimer();
+    this.state = null;
+    this.failures = 0;
+    this.firstFailureAt = null;
+    this.inFlight = false;
+    this.paused = false;
+    this.onChange = null;
+  }
+
+  /**
+   * Starts pinging. Stops any previous run.
+   * @param {Function} onChange - Called with (state: 'up'|'down', timestamp)
+   */
+  start(onChange) {
+    this.stop();
+    this.onChange = onChange;
+    this.timer.start(() => this.beat(), this.interval);
+    this.beat();
+  }
+
+  /**
+   * Stops pinging and forgets the last state.
+   */
+  stop() {
+    this.timer.stop();
+    this.onChange = null;
+    this.state = null;
+    this.failures = 0;
+    this.firstFailureAt = null;
+    this.paused = false;
+  }
+
+  /**
+   * Pauses or resumes pinging, e.g. while a speed test runs so the pings
+   * don't compete with it.
+   * @param {boolean} paused
+   */
+  setPaused(paused) {
+    this.paused = paused;
+  }
+
+  /**
+   * Runs one ping unless paused or the previous ping is still out.
+   * @returns {Promise<void>}
+   */
+  async beat() {
+    if (this.paused || this.inFlight) {
+      return;
+    }
+
+    this.inFlight = true;
+    const timestamp = Date.now();
+    try {
+      this.record(await this.ping(), timestamp);
+    } finally {
+      this.inFlight = false;
+    }
+  }
+
+  /**
+   * Sends a single ping.
+   * @returns {Promise<boolean>} Whether the resource answered in time
+   */
+  async ping() {
+    if (!navigator.onLine) {
+      return false;
+    }
+    if (this.probe) {
+      return this.probe();
+    }
+    this.bytesUsed += this.requestBytes;
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const url = `${this.url}${this.url.includes('?') ? '&' : '?'}_t=${Date.now()}`;
+      const response = await fetch(url, {
+        signal: controller.signal,
+        cache: 'no-store'
+      });
+      return response.ok;
+    } catch (error) {
+      return false;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Returns the estimated bytes the pings have used since the last call, so
+   * they can be added to the month's data usage in batches.
+   * @returns {number}
+   */
+  takeBytesUsed() {
+    const bytes = this.bytesUsed;
+    this.bytesUsed = 0;
+    return bytes;
+  }
+
+  /**
+   * Updates the state from a ping result and reports transitions.
+   * @param {boolean} up - Whether the ping succeeded
+   * @param {number} timestamp - When the ping was sent
+   */
+  record(up, timestamp) {
+    if (up) {
+      this.failures = 0;
+      this.firstFailureAt = null;
+      this.setState('up', timestamp);
+      return;
+    }
+
+    this.failures++;
+    if (this.firstFailureAt === null) {
+      this.firstFailureAt = timestamp;
+    }
+    if (this.failures >= this.failureThreshold) {
+      this.setState('down', this.firstFailureAt);
+    }
+  }
+
+  /**
+   * @param {'up'|'down'} state
+   * @param {number} timestamp
+   */
+  setState(state, timestamp) {
+    if (state === this.state) {
+      return;
+    }
+    this.state = state;
+    if (this.onChange) {
+      this.onChange(state, timestamp);
+    }
+  }
+}
@@ -0,0 +1,87 @@
+/**
+ * Watches the browser's own view of the connection while recording:
+ * `online`/`offline` on window and `change` on navigator.connection
+ * (Network Information API, where supported).
+ *
+ * Connection `change` fires on every small revision of the downlink and
+ * rtt estimates, so it is only reported when the connection type (e.g. a
+ * cellular to Wi-Fi handover) or effectiveType (e.g. 4g to 3g) changed.
+ */
+export class NetworkEventService {
+  /**
+   * @param {SpeedTestService|WorkerSpeedTestService} speedTestService - Used to
+   *   describe the connection the same way measurements do
+   */
+  constructor(speedTestService) {
+    this.speedTestService = speedTestService;
+    this.onEvent = null;
+    this.lastState = null;
+
+    this.handleOnline = () => this.emit('online');
+    this.handleOffline = () => this.emit('offline');
+    this.handleChange = () => {
+      const state = this.describe();
+      if (state.connectionType === this.lastState?.connectionType &&
+          state.effectiveType === this.lastState?.effectiveType) {
+        return;
+      }
+      this.emit('change', state);
+    };
+  }
+
+  /**
+   * Starts listening. Stops any previous run.
+   * @param {Function} onEvent - Called with { timestamp, type: 'online'|'offline'|'change',
+   *   connectionType, effectiveType }
+   */
+  start(onEvent) {
+    this.stop();
+    this.onEvent = onEvent;
+    this.lastState = this.describe();
+
+    window.addEventListener('online', this.handleOnline);
+    window.addEventListener('offline', this.handleOffline);
+    this.getConnection()?.addEventListener?.('change', this.handleChange);
+  }
+
+  /**
+   * Stops listening.
+   */
+  stop() {
+    window.removeEventListener('online', this.handleOnline);
+    window.removeEventListener('offline', this.handleOffline);
+    this.getConnection()?.removeEventListener?.('change', this.handleChange);
+    this.onEvent = null;
+    this.lastState = null;
+  }
+
+  /**
+   * @returns {Object|null} navigator.connection, or null when unsupported
+   */
+  getConnection() {
+    return navigator.connection || navigator.mozConnection || navigator.webkitConnection || null;
+  }
+
+  /**
+   * The current connection as measurements would record it.
+   * @returns {{connectionType: string, effectiveType: string|null}}
+   */
+  describe() {
+    return {
+      connectionType: this.speedTestService.getConnectionType(),
+      effectiveType: this.speedTestService.getNetworkInfo()?.effectiveType ?? null
+    };
+  }
+
+  /**
+   * Reports an event with the current connection state.
+   * @param {'online'|'offline'|'change'} type
+   * @param {{connectionType: string, effectiveType: string|null}} [state]
+   */
+  emit(type, state = this.describe()) {
+    this.lastState = state;
+    if (this.onEvent) {
+      this.onEvent({ timestamp: Date.now(), type, ...state });
+    }
+  }
+}
@@ -0,0 +1,301 @@
+import { haversineDistance, bearing } from '../utils/geo.js';
+
+/**
+ * @typedef {Object} TrackPoint
+ * @property {number} latitude
+ * @property {number} longitude
+ * @property {number|null} altitude - In meters
+ * @property {number} time - Milliseconds since the first point
+ */
+
+/**
+ * Gives a track without timestamps times as if travelled at a constant speed.
+ * @param {Array<{latitude: number, longitude: number, altitude: number|null, time: number|null}>} points
+ * @param {number} speed - In m/s
+ * @returns {TrackPoint[]}
+ */
+function toTrack(points, speed) {
+  if (points.length === 0) {
+    throw new Error('Track has no points');
+  }
+
+  if (points.every(point => point.time !== null)) {
+    return points.map(point => ({ ...point, time: point.time - points[0].time }));
+  }
+
+  let time = 0;
+  return points.map((point, i) => {
+    if (i > 0) {
+      const previous = points[i - 1];
+      time += haversineDistance(previous.latitude, previous.longitude, point.latitude, point.longitude) / speed * 1000;
+    }
+    return { ...point, time };
+  });
+}
+
+/**
+ * Reads the track and route points of a GPX file.
+ * @param {string} text - GPX XML
+ * @param {number} [speed=20] - m/s to assume if the points have no times
+ * @returns {TrackPoint[]}
+ */
+export function parseGpx(text, speed = 20) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.querySelector('parsererror')) {
+    throw new Error('Invalid GPX track');
+  }
+
+  const points = [...doc.querySelectorAll('trkpt, rtept')].map(element => {
+    const time = element.querySelector('time')?.textContent;
+    const altitude = element.querySelector('ele')?.textContent;
+    return {
+      latitude: parseFloat(element.getAttribute('lat')),
+      longitude: parseFloat(element.getAttribute('lon')),
+      altitude: altitude === undefined ? null : parseFloat(altitude),
+      time: time === undefined ? null : Date.parse(time)
+    };
+  });
+  return toTrack(points, speed);
+}
+
+/**
+ * Reads the LineStrings of a GeoJSON object (FeatureCollection, Feature or
+ * bare geometry). Times are taken from the `coordTimes` or `times` property,
+ * one per coordinate, as written by most GPX converters.
+ * @param {Object} geojson
+ * @param {number} [speed=20] - m/s to assume if the points have no times
+ * @returns {TrackPoint[]}
+ */
+export function parseGeoJson(geojson, speed = 20) {
+  const features = geojson.type === 'FeatureCollection'
+    ? geojson.features
+    : [geojson.type === 'Feature' ? geojson : { type: 'Feature', geometry: geojson, properties: {} }];
+
+  const points = features.flatMap(({ geometry, properties }) => {
+    const times = properties?.coordTimes ?? properties?.times ?? null;
+    // Treat a LineString as a MultiLineString with one line
+    const lines = geometry?.type === 'LineString' ? [geometry.coordinates]
+      : geometry?.type === 'MultiLineString' ? geometry.coordinates
+        : [];
+    const lineTimes = geometry?.type === 'LineString' ? [times] : (times ?? []);
+
+    return lines.flatMap((coordinates, line) => coordinates.map(([longitude, latitude, altitude], i) => {
+      const time = lineTimes[line]?.[i];
+      return {
+        latitude,
+        longitude,
+        altitude: altitude ?? null,
+        time: time === undefined ? null : new Date(time).getTime()
+      };
+    }));
+  });
+  return toTrack(points, speed);
+}
+
+/**
+ * Reads a GPX or GeoJSON track, telling them apart by content.
+ * @param {string} text
+ * @param {number} [speed=20] - m/s to assume if the points have no times
+ * @returns {TrackPoint[]}
+ */
+export function parseTrack(text, speed = 20) {
+  return text.trimStart().startsWith('<') ? parseGpx(text, speed) : parseGeoJson(JSON.parse(text), speed);
+}
+
+/**
+ * Stand-in for GeolocationService that plays back a recorded track, so
+ * recordings can be tried from a desk and in tests. Playback starts with the
+ * first request for a position and can run faster than real time.
+ *
+ * Fix timestamps follow the track's own clock, so at 10x a fix one real
+ * second after the last is stamped ten seconds later. Reported speeds and
+ * the smoothing filter's jump check then see the real pace.
+ */
+export class ReplayGeolocationService {
+  /**
+   * @param {Object} options
+   * @param {TrackPoint[]} [options.track] - Points to play back
+   * @param {string} [options.url] - GPX or GeoJSON file to load instead, on first use
+   * @param {number} [options.speedFactor=1] - Playback speed; 1 is real time
+   * @param {number} [options.interval=1000] - Milliseconds between watch updates
+   * @param {number} [options.accuracy=10] - Accuracy to report, in meters
+   * @param {number} [options.defaultSpeed=20] - m/s for tracks without times
+   */
+  constructor(options = {}) {
+    this.options = {
+      speedFactor: options.speedFactor ?? 1,
+      interval: options.interval ?? 1000,
+      accuracy: options.accuracy ?? 10,
+      defaultSpeed: options.defaultSpeed ?? 20
+    };
+    this.url = options.url ?? null;
+    this.track = options.track ?? null;
+    this.loading = null;
+    this.startedAt = null;
+    this.watches = new Map();
+    this.nextWatchId = 1;
+  }
+
+  /**
+   * Always available — no browser API is involved.
+   * @returns {boolean}
+   */
+  isSupported() {
+    return true;
+  }
+
+  /**
+   * Loads the track from the configured URL, once.
+   * @returns {Promise<TrackPoint[]>}
+   */
+  loadTrack() {
+    if (this.track) {
+      return Promise.resolve(this.track);
+    }
+    if (!this.loading) {
+      this.loading = (async () => {
+        const response = await fetch(this.url);
+        if (!response.ok) {
+          const error = new Error(`Failed to load replay track: HTTP ${response.status}`);
+          error.status = response.status;
+          throw error;
+        }
+        this.track = parseTrack(await response.text(), this.options.defaultSpeed);
+        return this.track;
+      })();
+      // Let a later request try again
+      this.loading.catch(() => {
+        this.loading = null;
+      });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Rewinds playback; the next request starts the track from the beginning.
+   */
+  reset() {
+    this.startedAt = null;
+  }
+
+  /**
+   * Returns how far into the track playback is, starting it if needed.
+   * @returns {number} Milliseconds of track time
+   */
+  getTrackTime() {
+    if (this.startedAt === null) {
+      this.startedAt = Date.now();
+    }
+    return (Date.now() - this.startedAt) * this.options.speedFactor;
+  }
+
+  /**
+   * Returns the distance covered along the track so far, e.g. for placing
+   * SimulatedSpeedTestService's km-based conditions.
+   * @returns {number} Meters; 0 before playback starts
+   */
+  getDistanceTravelled() {
+    if (this.track === null || this.startedAt === null) {
+      return 0;
+    }
+
+    const trackTime = this.getTrackTime();
+    let distance = 0;
+    for (let i = 1; i < this.track.length && this.track[i - 1].time < trackTime; i++) {
+      const from = this.track[i - 1];
+      const to = this.track[i];
+      const fraction = Math.min(1, (trackTime - from.time) / (to.time - from.time));
+      distance += haversineDistance(from.latitude, from.longitude, to.latitude, to.longitude) * fraction;
+    }
+    return distance;
+  }
+
+  /**
+   * Returns the position the track has reached, starting playback if needed.
+   * @returns {Position}
+   */
+  getReplayPosition() {
+    const trackTime = this.getTrackTime();
+    const track = this.track;
+    const position = {
+      accuracy: this.options.accuracy,
+      altitudeAccuracy: null,
+      timestamp: this.startedAt + trackTime
+    };
+
+    const next = track.findIndex(point => point.time > trackTime);
+    if (next === -1) {
+      // Past the end of the track: stay put
+      const last = track[track.length - 1];
+      return { ...position, latitude: last.latitude, longitude: last.longitude, altitude: last.altitude, heading: null, speed: 0 };
+    }
+
+    const from = track[next - 1];
+    const to = track[next];
+    const fraction = (trackTime - from.time) / (to.time - from.time);
+    const distance = haversineDistance(from.latitude, from.longitude, to.latitude, to.longitude);
+    const moving = distance > 0;
+    return {
+      ...position,
+      latitude: from.latitude + (to.latitude - from.latitude) * fraction,
+      longitude: from.longitude + (to.longitude - from.longitude) * fraction,
+      altitude: from.altitude === null || to.altitude === null
+        ? null
+        : from.altitude + (to.altitude - from.altitude) * fraction,
+      heading: moving ? bearing(from.latitude, from.longitude, to.latitude, to.longitude) : null,
+      speed: distance / ((to.time - from.time) / 1000)
+    };
+  }
+
+  /**
+   * Gets the current position along the track.
+   * @returns {Promise<Position>}
+   */
+  async getCurrentPosition() {
+    await this.loadTrack();
+    return this.getReplayPosition();
+  }
+
+  /**
+   * Reports the position along the track every `interval` milliseconds.
+   * @param {Function} onPosition - Callback for position updates, with a Position
+   * @param {Function} onError - Callback for errors, e.g. the track failing to load
+   * @returns {number} Watch ID for clearing the watch
+   */
+  watchPosition(onPosition, onError) {
+    const watchId = this.nextWatchId++;
+    this.watches.set(watchId, null);
+
+    this.loadTrack().then(() => {
+      if (!this.watches.has(watchId)) {
+        return;
+      }
+      onPosition(this.getReplayPosition());
+      this.watches.set(watchId, setInterval(() => onPosition(this.getReplayPosition()), this.options.interval));
+    }, (error) => {
+      if (this.watches.has(watchId)) {
+        onError(error);
+      }
+    });
+
+    return watchId;
+  }
+
+  /**
+   * Clears a position watch.
+   * @param {number} watchId
+   */
+  clearWatch(watchId) {
+    clearInterval(this.watches.get(watchId));
+    this.watches.delete(watchId);
+  }
+
+  /**
+   * Permission is always granted; loads the track so a bad URL shows up here.
+   * @returns {Promise<boolean>}
+   */
+  async requestPermission() {
+    await this.loadTrack();
+    return true;
+  }
+}
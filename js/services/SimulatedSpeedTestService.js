@@ -0,0 +1,266 @@
+import { SpeedTestService } from './SpeedTestService.js';
+
+/**
+ * @typedef {Object} NetworkConditions
+ * @property {number} downloadMbps
+ * @property {number} uploadMbps
+ * @property {number} latencyMs
+ * @property {number} jitterMs
+ * @property {number} packetLoss - Share of latency probes lost (0–1)
+ * @property {'wifi'|'cellular'|'unknown'} connectionType
+ * @property {boolean} outage - Nothing gets through (a tunnel, a dead zone)
+ * @property {boolean} captivePortal - Every request is answered by a login page
+ */
+
+/**
+ * @typedef {Object} NetworkSegment
+ * A stretch of the script: any NetworkConditions fields override the
+ * baseline while it is active. It starts at `atMs` into the simulation, or
+ * when `atKm` is first reached, and lasts `durationMs`, until `untilMs` or
+ * until `untilKm` is reached — or to the end if none is given. Later
+ * segments win where they overlap.
+ * @property {string} [name] - For reading the script, e.g. 'Tunnel'
+ * @property {number} [atMs]
+ * @property {number} [atKm]
+ * @property {number} [durationMs]
+ * @property {number} [untilMs]
+ * @property {number} [untilKm]
+ */
+
+/**
+ * @typedef {Object} NetworkScript
+ * @property {Partial<NetworkConditions>} [baseline] - Conditions outside any segment
+ * @property {NetworkSegment[]} [segments]
+ */
+
+/**
+ * Conditions used where neither the baseline nor a segment says otherwise.
+ */
+const DEFAULT_CONDITIONS = {
+  downloadMbps: 20,
+  uploadMbps: 5,
+  latencyMs: 50,
+  jitterMs: 5,
+  packetLoss: 0,
+  connectionType: 'cellular',
+  outage: false,
+  captivePortal: false
+};
+
+/**
+ * Stand-in for SpeedTestService that makes no requests: each measurement
+ * reports the conditions a script gives for the current time or distance,
+ * e.g. "tunnel at km 12 for 40 s". Results are assembled by SpeedTestService
+ * itself, so they have the same shape and failure states as real ones.
+ *
+ * The simulation clock starts with the first measurement; until then the
+ * script reads as at its start. Distance comes
+ * from the getDistance option (ReplayGeolocationService.getDistanceTravelled
+ * fits); without it, segments placed by km never start. As with the real
+ * service, navigator.onLine false means 'disconnected'. Comparison endpoints
+ * are not simulated. Heartbeat pings can follow the script through ping().
+ */
+export class SimulatedSpeedTestService extends SpeedTestService {
+  /**
+   * @param {Object} options - SpeedTestService options, plus:
+   * @param {NetworkScript} [options.script={}]
+   * @param {Function} [options.getDistance] - Returns meters travelled so far
+   * @param {number} [options.speedFactor=1] - How fast script time runs
+   *   compared to real time, to match a sped-up replay
+   */
+  constructor(options = {}) {
+    super(options);
+    this.script = options.script ?? {};
+    this.getDistance = options.getDistance ?? (() => 0);
+    this.speedFactor = options.speedFactor ?? 1;
+    this.reset();
+  }
+
+  /**
+   * Restarts the script from the beginning.
+   */
+  reset() {
+    // Set by the first measurement
+    this.startedAt = null;
+    // Script time at which each km-placed segment was first reached
+    this.reachedAt = new Map();
+  }
+
+  /**
+   * Starts the simulation clock, unless an earlier measurement did.
+   */
+  startClock() {
+    this.startedAt = this.startedAt ?? Date.now();
+  }
+
+  /**
+   * Works out the conditions the script gives right now.
+   * @returns {NetworkConditions}
+   */
+  getConditions() {
+    const elapsed = this.startedAt === null ? 0 : (Date.now() - this.startedAt) * this.speedFactor;
+    const km = this.getDistance() / 1000;
+
+    const conditions = { ...DEFAULT_CONDITIONS, ...this.script.baseline };
+    (this.script.segments ?? []).forEach((segment, index) => {
+      if (this.isActive(segment, index, elapsed, km)) {
+        const { name, atMs, atKm, durationMs, untilMs, untilKm, ...overrides } = segment;
+        Object.assign(conditions, overrides);
+      }
+    });
+    return conditions;
+  }
+
+  /**
+   * Whether a script segment applies at a point in the simulation.
+   * @param {NetworkSegment} segment
+   * @param {number} index - Position of the segment in the script
+   * @param {number} elapsed - Script time in ms
+   * @param {number} km - Distance travelled
+   * @returns {boolean}
+   */
+  isActive(segment, index, elapsed, km) {
+    if (segment.atKm !== undefined && !this.reachedAt.has(index) && km >= segment.atKm) {
+      this.reachedAt.set(index, elapsed);
+    }
+    const start = segment.atKm === undefined ? (segment.atMs ?? 0) : this.reachedAt.get(index);
+    if (start === undefined || elapsed < start) {
+      return false;
+    }
+
+    if (segment.untilKm !== undefined) {
+      return km < segment.untilKm;
+    }
+    if (segment.durationMs !== undefined) {
+      return elapsed < start + segment.durationMs;
+    }
+    if (segment.untilMs !== undefined) {
+      return elapsed < segment.untilMs;
+    }
+    return true;
+  }
+
+  /**
+   * @returns {'wifi'|'cellular'|'unknown'|'disconnected'}
+   */
+  getConnectionType() {
+    return navigator.onLine ? this.getConditions().connectionType : 'disconnected';
+  }
+
+  /**
+   * The Network Information API is treated as unavailable.
+   * @returns {null}
+   */
+  getNetworkInfo() {
+    return null;
+  }
+
+  /**
+   * @returns {Promise<{latencyMs: number|null, jitterMs: number|null, packetLoss: number|null}>}
+   */
+  async measureLatency() {
+    this.startClock();
+    if (this.latencyProbeCount <= 0) {
+      return { latencyMs: null, jitterMs: null, packetLoss: null };
+    }
+
+    const { outage, captivePortal, latencyMs, jitterMs, packetLoss } = this.getConditions();
+    // Portal login pages answer the probes too, so they still get through
+    if ((outage && !captivePortal) || packetLoss >= 1) {
+      return { latencyMs: null, jitterMs: null, packetLoss: 1 };
+    }
+    return { latencyMs, jitterMs, packetLoss };
+  }
+
+  /**
+   * Reports the scripted download speed, with the bytes an adaptive download
+   * would have used to reach the target duration.
+   * @returns {Promise<{speedMbps: number|null, bytes: number, partial: boolean, timing: null, captivePortal: boolean, failure: FailureInfo|null}>}
+   */
+  async measureDownload() {
+    this.startClock();
+    const conditions = this.getConditions();
+    const failed = this.simulateFailure(conditions);
+    if (failed) {
+      return { speedMbps: null, bytes: 0, partial: false, timing: null, ...failed };
+    }
+
+    const bytes = this.adaptive
+      ? Math.min(this.maxBytes, Math.round(conditions.downloadMbps * 1000000 / 8 * this.targetDuration / 1000))
+      : this.testFileSize;
+    return { speedMbps: conditions.downloadMbps, bytes, partial: false, timing: null, captivePortal: false, failure: null };
+  }
+
+  /**
+   * Reports the scripted download speed for every second of the window.
+   * @returns {Promise<{sustained: SustainedResult|null, bytes: number, captivePortal: boolean, failure: FailureInfo|null}>}
+   */
+  async runSustainedWindow() {
+    this.startClock();
+    const conditions = this.getConditions();
+    const failed = this.simulateFailure(conditions);
+    if (failed) {
+      return { sustained: null, bytes: 0, ...failed };
+    }
+
+    const seconds = Math.max(1, Math.floor(this.sustainedDuration / 1000));
+    const mbps = conditions.downloadMbps;
+    return {
+      sustained: {
+        streams: this.sustainedStreams,
+        peakMbps: mbps,
+        meanMbps: mbps,
+        samples: new Array(seconds).fill(mbps)
+      },
+      bytes: Math.round(mbps * 1000000 / 8 * seconds),
+      captivePortal: false,
+      failure: null
+    };
+  }
+
+  /**
+   * @returns {Promise<{results: null, bytes: number}>}
+   */
+  async measureEndpoints() {
+    return { results: null, bytes: 0 };
+  }
+
+  /**
+   * @returns {Promise<number|null>}
+   */
+  async measureUpload() {
+    this.startClock();
+    const conditions = this.getConditions();
+    return this.simulateFailure(conditions) ? null : conditions.uploadMbps;
+  }
+
+  /**
+   * Answers a heartbeat ping under the scripted conditions, for
+   * HeartbeatService's probe option, so scripted outages show up as
+   * heartbeat outages too. Pings don't start the clock.
+   * @returns {Promise<boolean>} Whether the ping got through
+   */
+  async ping() {
+    const { outage, captivePortal, packetLoss } = this.getConditions();
+    // As with the latency probes, portal login pages answer
+    return !(outage && !captivePortal) && packetLoss < 1;
+  }
+
+  /**
+   * Describes how a download fails under the given conditions.
+   * @param {NetworkConditions} conditions
+   * @returns {{captivePortal: boolean, failure: FailureInfo}|null} null when it succeeds
+   */
+  simulateFailure({ outage, captivePortal }) {
+    if (captivePortal) {
+      return { captivePortal: true, failure: this.describeFailure(this.captivePortalError()) };
+    }
+    if (outage) {
+      return {
+        captivePortal: false,
+        failure: { reason: 'timeout', httpStatus: null, bytesReceived: 0, durationMs: this.timeout }
+      };
+    }
+    return null;
+  }
+}
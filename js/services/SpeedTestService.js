@@ -1,22 +1,193 @@
 /**
- * Service for measuring download speed.
- * Downloads a test file and calculates the speed in Mbps.
+ * @typedef {Object} NetworkInfo
+ * The browser's own estimate of the connection (Network Information API).
+ * Fields the browser doesn't report are null.
+ * @property {string|null} effectiveType - 'slow-2g', '2g', '3g' or '4g'
+ * @property {number|null} downlink - Estimated bandwidth in Mbps
+ * @property {number|null} rtt - Estimated round-trip time in ms
+ * @property {boolean|null} saveData - Whether the user asked for reduced data use
+ */
+
+/**
+ * @typedef {Object} TimingPhases
+ * Where the time went on the download request, from Resource Timing.
+ * dns and connect are 0 when an existing connection was reused.
+ * @property {number} dnsMs - DNS lookup
+ * @property {number} connectMs - TCP connection setup
+ * @property {number} tlsMs - TLS handshake (0 for plain HTTP)
+ * @property {number} ttfbMs - Request sent until first response byte
+ * @property {number} transferMs - First to last response byte
+ */
+
+/**
+ * @typedef {Object} EndpointResult
+ * A single download from one of the comparison endpoints.
+ * @property {string} name - Endpoint name from the config
+ * @property {number|null} speedMbps - null when nothing arrived
+ * @property {boolean} partial - The download was cut short
+ */
+
+/**
+ * @typedef {Object} SustainedResult
+ * Throughput over a sustained window of parallel downloads.
+ * @property {number} streams - Number of parallel downloads
+ * @property {number} peakMbps - Best one-second throughput
+ * @property {number} meanMbps - Throughput over the whole window
+ * @property {number[]} samples - Throughput for each second of the window in Mbps
+ */
+
+/**
+ * @typedef {Object} FailureInfo
+ * Why a measurement got no throughput figure.
+ * @property {'timeout'|'http-error'|'network-error'|'captive-portal'|'disconnected'} reason -
+ *   'network-error' is a rejected fetch: DNS failure, CORS rejection or a
+ *   refused/reset connection, which browsers don't tell apart
+ * @property {number|null} httpStatus - Status of the failed response, null if none arrived
+ * @property {number} bytesReceived - Bytes of the failed download that arrived
+ * @property {number} durationMs - Time until the download failed
+ */
+
+/**
+ * @typedef {Object} SpeedTestResult
+ * @property {number|null} speedMbps
+ * @property {number|null} uploadMbps
+ * @property {number|null} latencyMs
+ * @property {number|null} jitterMs
+ * @property {number|null} packetLoss
+ * @property {number} bytesTransferred
+ * @property {number} testDurationMs
+ * @property {boolean} partial
+ * @property {NetworkInfo|null} networkInfo - null when the API is unavailable
+ * @property {TimingPhases|null} timing - Phases of the download round the speed
+ *   came from; null when the browser didn't expose them
+ * @property {'full'|'latency-only'|'sustained'} testMode - How throughput was
+ *   measured: adaptive single download, not at all, or parallel streams
+ * @property {SustainedResult|null} sustained - Set in 'sustained' mode
+ * @property {EndpointResult[]|null} endpoints - Comparison endpoints tested in
+ *   this measurement; null when none are configured or none ran
+ * @property {string|null} testUrl - Endpoint measured (without cache-busting);
+ *   null when no request was made
+ * @property {FailureInfo|null} failure - Set when the download got no result
+ * @property {string} connectionType
+ */
+
+/**
+ * FailureInfo reasons, which our own errors carry as their code.
+ */
+const FAILURE_REASONS = ['timeout', 'http-error', 'network-error', 'captive-portal', 'disconnected'];
+
+/**
+ * Empty latency result, used when the probes could not run at all.
+ */
+const NO_LATENCY = { latencyMs: null, jitterMs: null, packetLoss: null };
+
+/**
+ * Result fields for a measurement that moved no data.
+ */
+const NO_TRANSFER = {
+  speedMbps: null,
+  uploadMbps: null,
+  ...NO_LATENCY,
+  bytesTransferred: 0,
+  testDurationMs: 0,
+  partial: false,
+  networkInfo: null,
+  timing: null,
+  testMode: 'full',
+  endpoints: null,
+  sustained: null,
+  testUrl: null,
+  failure: null
+};
+
+/**
+ * Failure of a measurement that never started because the local network
+ * was gone.
+ */
+const DISCONNECTED_FAILURE = { reason: 'disconnected', httpStatus: null, bytesReceived: 0, durationMs: 0 };
+
+/**
+ * Service for measuring connection quality.
+ * Sends a burst of small latency probes, downloads a test payload, then
+ * uploads a generated payload, and calculates round-trip time and both speeds.
+ *
+ * The download is adaptive by default: it starts small and grows the payload
+ * until a transfer lasts the target duration (or the byte budget runs out),
+ * so fast links aren't measuring TTFB and slow links don't hit the timeout.
+ *
+ * A separate sustained mode runs several parallel downloads for a fixed
+ * window instead, closer to what a video stream sees than one short
+ * download.
+ *
+ * Optionally, fixed downloads from further endpoints (e.g. our origin and a
+ * third-party CDN) are compared, so a problem at one server can be told
+ * apart from a bad signal, which slows them all.
  */
 export class SpeedTestService {
   /**
    * @param {Object} options
-   * @param {string} [options.testUrl] - URL of test file to download
-   * @param {number} [options.testFileSize] - Expected size of test file in bytes
+   * @param {string} [options.testUrl] - URL of the download endpoint; in adaptive mode
+   *   a `bytes` query parameter sets the payload size
+   * @param {number} [options.testFileSize] - Size of the test file in bytes (fixed mode);
+   *   a body of another length counts as a captive portal
+   * @param {boolean} [options.adaptive=true] - Grow the payload towards targetDuration
+   *   instead of downloading testUrl once
+   * @param {number} [options.initialBytes=25000] - First payload size in adaptive mode
+   * @param {number} [options.maxBytes=2000000] - Download byte budget per measurement in adaptive mode
+   * @param {number} [options.targetDuration=1500] - Transfer time in ms the adaptive download aims for
+   * @param {string} [options.uploadUrl] - URL that accepts a POST of the upload payload
+   * @param {number} [options.uploadSize] - Size of the generated upload payload in bytes
+   * @param {string} [options.latencyUrl] - URL of a tiny resource used for latency probes
+   * @param {number} [options.latencyProbeCount=5] - Number of probes per measurement
+   * @param {number} [options.latencyTimeout=1000] - Per-probe timeout in milliseconds;
+   *   probes that exceed it count as lost
+   * @param {number} [options.requestBytes=0] - Estimated bytes on the wire for a
+   *   request without payload (headers and framing), counted for each latency
+   *   probe; browsers don't expose the real figure for every request
+   * @param {Array<{name: string, url: string, bytes?: number}>} [options.endpoints=[]] - Comparison
+   *   endpoints, each downloaded once per measurement; where `bytes` is given, a
+   *   body of another length counts as a failure
+   * @param {'parallel'|'rotate'} [options.endpointMode='parallel'] - Test every
+   *   endpoint at once, or one per measurement in turn to save data
+   * @param {number} [options.sustainedStreams=4] - Parallel downloads in sustained mode
+   * @param {number} [options.sustainedDuration=10000] - Sustained window in ms
+   * @param {number} [options.sustainedStreamBytes=25000000] - Size of each download in
+   *   sustained mode; a stream that finishes early starts another
    * @param {number} [options.timeout=5000] - Timeout in milliseconds
    */
   constructor(options = {}) {
-    // Using a small file from a reliable CDN
-    // This is a ~100KB file that's good for quick speed tests
-    this.testUrl = options.testUrl || 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/leaflet.js';
+    // Defaults point at our own Worker (worker/index.js) on the same origin,
+    // so payload size and caching are under our control
+    this.testUrl = options.testUrl || '/api/speedtest/down';
     this.testFileSize = options.testFileSize || 150000; // ~150KB
+    this.adaptive = options.adaptive ?? true;
+    this.initialBytes = options.initialBytes ?? 25000;
+    this.maxBytes = options.maxBytes ?? 2000000;
+    this.targetDuration = options.targetDuration ?? 1500;
+    this.uploadUrl = options.uploadUrl || '/api/speedtest/up';
+    this.uploadSize = options.uploadSize || 50000; // ~50KB
+    this.latencyUrl = options.latencyUrl || '/api/speedtest/down?bytes=0';
+    this.latencyProbeCount = options.latencyProbeCount ?? 5;
+    this.latencyTimeout = options.latencyTimeout ?? 1000;
+    this.requestBytes = options.requestBytes ?? 0;
+    this.endpoints = options.endpoints ?? [];
+    this.endpointMode = options.endpointMode ?? 'parallel';
+    this.nextEndpoint = 0;
+    this.sustainedStreams = options.sustainedStreams ?? 4;
+    this.sustainedDuration = options.sustainedDuration ?? 10000;
+    this.sustainedStreamBytes = options.sustainedStreamBytes ?? 25000000;
     this.timeout = options.timeout ?? 5000;
   }
 
+  /**
+   * Appends a cache-busting parameter to a URL.
+   * @param {string} url
+   * @returns {string}
+   */
+  cacheBust(url) {
+    return `${url}${url.includes('?') ? '&' : '?'}_t=${Date.now()}`;
+  }
+
   /**
    * Detects the current connection type reported by the OS.
    * Returns 'disconnected' when navigator.onLine is false — on a tethered
@@ -46,67 +217,803 @@ export class SpeedTestService {
   }
 
   /**
-   * Measures the download speed.
-   * When the test cannot complete we distinguish two failure modes:
+   * Reads the browser's connection estimate from the Network Information API.
+   * @returns {NetworkInfo|null} null when the API is unavailable
+   */
+  getNetworkInfo() {
+    const connection = navigator.connection || navigator.mozConnection || navigator.webkitConnection;
+    if (!connection) {
+      return null;
+    }
+
+    return {
+      effectiveType: connection.effectiveType ?? null,
+      downlink: connection.downlink ?? null,
+      rtt: connection.rtt ?? null,
+      saveData: connection.saveData ?? null
+    };
+  }
+
+  /**
+   * Measures latency, then the download speed, then the upload speed.
+   * When the download cannot complete we distinguish two failure modes:
    *   - 'disconnected': navigator.onLine is false (local network gone).
-   *   - 'no-signal': onLine is true but the fetch aborted/errored (the
-   *     upstream link — e.g. the phone's mobile signal — is unreachable).
-   * @returns {Promise<{speedMbps: number|null, connectionType: string}>}
+   *   - 'no-signal': onLine is true but the fetch aborted/errored before a
+   *     single byte arrived (the upstream link — e.g. the phone's mobile
+   *     signal — is unreachable).
+   * A download cut short after some bytes arrived is still a measurement:
+   * speedMbps comes from the partial transfer and partial is true.
+   * When the download is answered by a captive portal (e.g. station Wi-Fi
+   * login page), connectionType is 'captive-portal' and speedMbps is null.
+   * The upload only runs after a successful download; if it fails on its
+   * own, uploadMbps is null but the download result still stands. Latency
+   * figures are kept even when the download fails.
+   * Comparison endpoints are downloaded after the main download (unless a
+   * captive portal answered) and before the upload, whether or not the main
+   * download worked.
+   * bytesTransferred counts the latency probes (see requestBytes) and the
+   * download, endpoint and upload payloads (the upload only when it
+   * completed);
+   * testDurationMs is the wall-clock time of the whole measurement.
+   * Whenever speedMbps is null, failure says why (timeout, HTTP status, …).
+   * @returns {Promise<SpeedTestResult>}
    */
   async measureSpeed() {
     const connectionType = this.getConnectionType();
+    const networkInfo = this.getNetworkInfo();
+
+    if (connectionType === 'disconnected') {
+      return { ...NO_TRANSFER, networkInfo, failure: DISCONNECTED_FAILURE, connectionType: 'disconnected' };
+    }
+
+    const testStart = Date.now();
+
+    // Probe before the download so the transfer doesn't queue behind them
+    const latency = await this.measureLatency();
+
+    const download = await this.measureDownload();
+
+    if (download.captivePortal) {
+      return {
+        ...NO_TRANSFER,
+        ...latency,
+        bytesTransferred: this.probeBytes() + download.bytes,
+        testDurationMs: Date.now() - testStart,
+        networkInfo,
+        testUrl: this.testUrl,
+        failure: download.failure,
+        connectionType: 'captive-portal'
+      };
+    }
+
+    const endpoints = await this.measureEndpoints();
+
+    if (download.speedMbps === null) {
+      // Re-check onLine first: it may have flipped during the fetch.
+      // If it's still up, the test failed upstream — e.g. mobile signal lost.
+      return {
+        ...NO_TRANSFER,
+        ...latency,
+        bytesTransferred: this.probeBytes() + download.bytes + endpoints.bytes,
+        testDurationMs: Date.now() - testStart,
+        networkInfo,
+        endpoints: endpoints.results,
+        testUrl: this.testUrl,
+        failure: download.failure,
+        connectionType: navigator.onLine ? 'no-signal' : 'disconnected'
+      };
+    }
+
+    const uploadMbps = await this.measureUpload();
+
+    return {
+      speedMbps: download.speedMbps,
+      uploadMbps,
+      ...latency,
+      bytesTransferred: this.probeBytes() + download.bytes + endpoints.bytes + this.uploadedBytes(uploadMbps),
+      testDurationMs: Date.now() - testStart,
+      partial: download.partial,
+      networkInfo,
+      timing: download.timing,
+      testMode: 'full',
+      endpoints: endpoints.results,
+      testUrl: this.testUrl,
+      failure: null,
+      connectionType
+    };
+  }
+
+  /**
+   * Runs only the latency probes, skipping the download and upload — a
+   * cheap check of whether the link is up and responsive, used when the
+   * mobile data budget is nearly spent. The probes carry no payload, so
+   * bytesTransferred is only their estimated overhead (see requestBytes).
+   * @returns {Promise<SpeedTestResult>} speedMbps and uploadMbps are always null
+   */
+  async measureLatencyOnly() {
+    const connectionType = this.getConnectionType();
+    const networkInfo = this.getNetworkInfo();
 
     if (connectionType === 'disconnected') {
-      return { speedMbps: null, connectionType: 'disconnected' };
+      return { ...NO_TRANSFER, networkInfo, testMode: 'latency-only', failure: DISCONNECTED_FAILURE, connectionType: 'disconnected' };
     }
 
+    const testStart = Date.now();
+    const latency = await this.measureLatency();
+
+    let resultType = connectionType;
+    if (latency.latencyMs === null) {
+      resultType = navigator.onLine ? 'no-signal' : 'disconnected';
+    }
+
+    return {
+      ...NO_TRANSFER,
+      ...latency,
+      bytesTransferred: this.probeBytes(),
+      testDurationMs: Date.now() - testStart,
+      networkInfo,
+      testMode: 'latency-only',
+      testUrl: this.latencyUrl,
+      connectionType: resultType
+    };
+  }
+
+  /**
+   * Measures sustained throughput: latency probes, then sustainedStreams
+   * parallel downloads for sustainedDuration ms, then the upload. speedMbps
+   * is the mean over the window; the per-second samples and peak are in
+   * `sustained`. Failure states match measureSpeed().
+   * @returns {Promise<SpeedTestResult>}
+   */
+  async measureSustained() {
+    const connectionType = this.getConnectionType();
+    const networkInfo = this.getNetworkInfo();
+
+    if (connectionType === 'disconnected') {
+      return { ...NO_TRANSFER, networkInfo, testMode: 'sustained', failure: DISCONNECTED_FAILURE, connectionType: 'disconnected' };
+    }
+
+    const testStart = Date.now();
+    const latency = await this.measureLatency();
+    const transfer = await this.runSustainedWindow();
+
+    if (transfer.captivePortal || transfer.bytes === 0) {
+      let resultType = 'captive-portal';
+      if (!transfer.captivePortal) {
+        resultType = navigator.onLine ? 'no-signal' : 'disconnected';
+      }
+      return {
+        ...NO_TRANSFER,
+        ...latency,
+        bytesTransferred: this.probeBytes() + transfer.bytes,
+        testDurationMs: Date.now() - testStart,
+        networkInfo,
+        testMode: 'sustained',
+        testUrl: this.testUrl,
+        failure: transfer.failure,
+        connectionType: resultType
+      };
+    }
+
+    const uploadMbps = await this.measureUpload();
+
+    return {
+      ...NO_TRANSFER,
+      ...latency,
+      speedMbps: transfer.sustained.meanMbps,
+      uploadMbps,
+      bytesTransferred: this.probeBytes() + transfer.bytes + this.uploadedBytes(uploadMbps),
+      testDurationMs: Date.now() - testStart,
+      networkInfo,
+      testMode: 'sustained',
+      sustained: transfer.sustained,
+      testUrl: this.testUrl,
+      connectionType
+    };
+  }
+
+  /**
+   * Runs the parallel downloads of a sustained measurement and buckets the
+   * bytes by the second they arrived in. All streams are aborted when the
+   * window ends.
+   * @returns {Promise<{sustained: SustainedResult, bytes: number, captivePortal: boolean, failure: FailureInfo|null}>}
+   *   bytes counts only what arrived inside the window; failure is set when
+   *   nothing did
+   */
+  async runSustainedWindow() {
+    const controller = new AbortController();
+    const seconds = Math.max(1, Math.floor(this.sustainedDuration / 1000));
+    const buckets = new Array(seconds).fill(0);
+    const startTime = performance.now();
+    const timeoutId = setTimeout(() => controller.abort(), this.sustainedDuration);
+
+    const onBytes = (count) => {
+      const second = Math.floor((performance.now() - startTime) / 1000);
+      if (second < seconds) {
+        buckets[second] += count;
+      }
+    };
+
+    // First error that ended a stream early, for the failure reason
+    let streamError = null;
+    const onFailure = (error) => {
+      streamError = streamError ?? error;
+    };
+
+    let captivePortal = false;
     try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+      await Promise.all(Array.from({ length: this.sustainedStreams }, () =>
+        this.runSustainedStream(controller.signal, onBytes, onFailure)));
+    } catch (error) {
+      // Only captive portals reject; one login page is enough to stop
+      captivePortal = true;
+      streamError = error;
+      controller.abort();
+    } finally {
+      clearTimeout(timeoutId);
+    }
 
-      // Add cache-busting parameter
-      const url = `${this.testUrl}?_t=${Date.now()}`;
-      const startTime = performance.now();
+    const toMbps = (bytes) => Math.round((bytes * 8 / 1000000) * 100) / 100;
+    const bytes = buckets.reduce((a, b) => a + b, 0);
+    const samples = buckets.map(toMbps);
+
+    let failure = null;
+    if (captivePortal || bytes === 0) {
+      // Streams that hung until the window closed ended without an error
+      const error = streamError ?? Object.assign(new Error('Sustained window ended'), { code: 'timeout' });
+      failure = this.describeFailure(error, performance.now() - startTime);
+    }
+
+    return {
+      sustained: {
+        streams: this.sustainedStreams,
+        peakMbps: Math.max(...samples),
+        meanMbps: toMbps(bytes / seconds),
+        samples
+      },
+      bytes,
+      captivePortal,
+      failure
+    };
+  }
+
+  /**
+   * One stream of a sustained measurement: downloads sustainedStreamBytes
+   * payloads back to back until the signal aborts, reporting bytes as they
+   * arrive. Any other failure ends the stream quietly.
+   * @param {AbortSignal} signal
+   * @param {Function} onBytes - Called with the size of each received chunk
+   * @param {Function} [onFailure] - Called with the error that ended the stream
+   *   early; not called when the window ends
+   * @returns {Promise<void>}
+   * @throws {Error} with code 'captive-portal' when a captive portal answers
+   */
+  async runSustainedStream(signal, onBytes, onFailure = () => {}) {
+    while (!signal.aborted) {
+      try {
+        const response = await fetch(this.downloadUrl(this.sustainedStreamBytes), {
+          signal,
+          cache: 'no-store'
+        });
+
+        if (this.isCaptivePortalResponse(response)) {
+          throw this.captivePortalError();
+        }
+
+        if (!response.ok) {
+          onFailure(this.httpError(response.status));
+          return;
+        }
+
+        if (response.body && typeof response.body.getReader === 'function') {
+          const reader = response.body.getReader();
+          for (;;) {
+            const { done, value } = await reader.read();
+            if (done) {
+              break;
+            }
+            onBytes(value.byteLength);
+          }
+        } else {
+          const blob = await response.blob();
+          onBytes(blob.size);
+        }
+      } catch (error) {
+        if (error.code === 'captive-portal') {
+          throw error;
+        }
+        if (!signal.aborted) {
+          onFailure(this.failureError(error, { code: this.failureReason(error, false) }));
+        }
+        return;
+      }
+    }
+  }
+
+  /**
+   * Runs the download test. In adaptive mode each round scales the payload
+   * towards targetDuration (at least doubling, at most 8x) until a round
+   * lasts long enough or the byte budget is spent. Speed is taken from the
+   * last, largest round, which is least distorted by request setup time.
+   * If a later round fails, the earlier rounds still count.
+   * @returns {Promise<{speedMbps: number|null, bytes: number, partial: boolean, timing: TimingPhases|null, captivePortal: boolean, failure: FailureInfo|null}>}
+   *   speedMbps is null when no bytes arrived at all or a captive portal
+   *   answered, and failure then says why; bytes is the total downloaded;
+   *   partial and timing describe the round the speed came from
+   */
+  async measureDownload() {
+    if (!this.adaptive) {
+      try {
+        const round = await this.downloadOnce(this.cacheBust(this.testUrl), this.testFileSize, true);
+        return {
+          speedMbps: round.speedMbps,
+          bytes: round.bytes,
+          partial: round.partial,
+          timing: round.timing,
+          captivePortal: false,
+          failure: null
+        };
+      } catch (error) {
+        return {
+          speedMbps: null,
+          bytes: 0,
+          partial: false,
+          timing: null,
+          captivePortal: error.code === 'captive-portal',
+          failure: this.describeFailure(error)
+        };
+      }
+    }
+
+    let size = Math.min(this.initialBytes, this.maxBytes);
+    let totalBytes = 0;
+    let lastRound = null;
+    let lastError = null;
+    let captivePortal = false;
+
+    while (size > 0) {
+      let round;
+      try {
+        // We asked for an exact size, so any other length is someone else's page
+        round = await this.downloadOnce(this.downloadUrl(size), size, true);
+      } catch (error) {
+        captivePortal = error.code === 'captive-portal';
+        lastError = error;
+        break;
+      }
+      totalBytes += round.bytes;
+      lastRound = round;
+
+      // A partial round ran into the timeout, so a bigger one would too
+      if (round.partial || round.durationMs >= this.targetDuration) {
+        break;
+      }
+
+      const scale = Math.min(8, Math.max(2, this.targetDuration / Math.max(round.durationMs, 1)));
+      const nextSize = Math.min(Math.round(size * scale), this.maxBytes - totalBytes);
+      // A smaller round than the last wouldn't improve on it
+      if (nextSize <= size) {
+        break;
+      }
+      size = nextSize;
+    }
+
+    if (captivePortal) {
+      return { speedMbps: null, bytes: totalBytes, partial: false, timing: null, captivePortal, failure: this.describeFailure(lastError) };
+    }
+
+    return {
+      speedMbps: lastRound ? lastRound.speedMbps : null,
+      bytes: totalBytes,
+      partial: lastRound ? lastRound.partial : false,
+      timing: lastRound ? lastRound.timing : null,
+      captivePortal,
+      // An earlier round's result stands when a later one fails
+      failure: lastRound || !lastError ? null : this.describeFailure(lastError)
+    };
+  }
+
+  /**
+   * Downloads from the comparison endpoints due in this measurement: all of
+   * them in parallel, or the next one in turn in 'rotate' mode.
+   * @returns {Promise<{results: EndpointResult[]|null, bytes: number}>}
+   *   results is null when no endpoints are configured
+   */
+  async measureEndpoints() {
+    if (this.endpoints.length === 0) {
+      return { results: null, bytes: 0 };
+    }
+
+    let due = this.endpoints;
+    if (this.endpointMode === 'rotate') {
+      due = [this.endpoints[this.nextEndpoint % this.endpoints.length]];
+      this.nextEndpoint++;
+    }
+
+    const rounds = await Promise.all(due.map(async (endpoint) => {
+      try {
+        return await this.downloadOnce(this.cacheBust(endpoint.url), endpoint.bytes ?? 0, endpoint.bytes !== undefined);
+      } catch (error) {
+        return null;
+      }
+    }));
+
+    return {
+      results: due.map((endpoint, i) => ({
+        name: endpoint.name,
+        speedMbps: rounds[i] ? rounds[i].speedMbps : null,
+        partial: rounds[i] ? rounds[i].partial : false
+      })),
+      bytes: rounds.reduce((sum, round) => sum + (round ? round.bytes : 0), 0)
+    };
+  }
 
+  /**
+   * Builds the URL for an adaptive download round of the given size.
+   * @param {number} bytes
+   * @returns {string}
+   */
+  downloadUrl(bytes) {
+    const url = new URL(this.testUrl, globalThis.location?.href);
+    url.searchParams.set('bytes', String(bytes));
+    return this.cacheBust(url.toString());
+  }
+
+  /**
+   * Downloads a single payload and times it. The body is read as a stream
+   * and counted as it arrives, so when the timeout fires (or the link drops)
+   * mid-transfer, the bytes received so far still yield a throughput figure,
+   * flagged as partial. Only a round that received nothing throws.
+   * Responses that look like a captive portal's login page throw an error
+   * with code 'captive-portal' instead of counting as a fast download.
+   * @param {string} url
+   * @param {number} expectedBytes - Used when the body size can't be read
+   * @param {boolean} [exactLength=false] - Treat any other body length as a captive portal
+   * @returns {Promise<{speedMbps: number, bytes: number, durationMs: number, partial: boolean, timing: TimingPhases|null}>}
+   * @throws {Error} on timeout, network or HTTP errors before any byte arrived,
+   *   or a captive portal. error.code is the FailureInfo reason; error.status,
+   *   error.bytes and error.durationMs describe the failed request
+   */
+  async downloadOnce(url, expectedBytes, exactLength = false) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+    const startTime = performance.now();
+    let bytes = 0;
+    let status = null;
+
+    try {
       const response = await fetch(url, {
         signal: controller.signal,
         cache: 'no-store'
       });
+      status = response.status ?? null;
 
-      if (!response.ok) {
-        throw new Error(`HTTP error: ${response.status}`);
+      if (this.isCaptivePortalResponse(response)) {
+        throw this.captivePortalError();
       }
 
-      // Read the entire response body
-      const blob = await response.blob();
-      const endTime = performance.now();
+      if (!response.ok) {
+        throw this.httpError(response.status);
+      }
 
-      clearTimeout(timeoutId);
+      if (response.body && typeof response.body.getReader === 'function') {
+        const reader = response.body.getReader();
+        for (;;) {
+          const { done, value } = await reader.read();
+          if (done) {
+            break;
+          }
+          bytes += value.byteLength;
+        }
+      } else {
+        // No streaming support: read the entire response body at once
+        const blob = await response.blob();
+        bytes = blob.size || expectedBytes;
+      }
 
-      // Calculate speed
-      const durationSeconds = (endTime - startTime) / 1000;
-      const bytesDownloaded = blob.size || this.testFileSize;
-      const bitsDownloaded = bytesDownloaded * 8;
-      const speedMbps = (bitsDownloaded / durationSeconds) / 1000000;
+      if (exactLength && bytes !== expectedBytes) {
+        throw this.captivePortalError();
+      }
 
       return {
-        speedMbps: Math.round(speedMbps * 100) / 100, // Round to 2 decimal places
-        connectionType
+        ...this.downloadResult(bytes, performance.now() - startTime, false),
+        timing: this.getResourceTiming(url)
       };
     } catch (error) {
-      // Re-check onLine first: it may have flipped during the fetch.
-      if (!navigator.onLine) {
-        return { speedMbps: null, connectionType: 'disconnected' };
+      if (bytes > 0 && error.code !== 'captive-portal') {
+        // Aborted requests don't get a Resource Timing entry
+        return { ...this.downloadResult(bytes, performance.now() - startTime, true), timing: null };
       }
-      // Local network is still up but the test failed — upstream link dead.
-      return { speedMbps: null, connectionType: 'no-signal' };
+      // Our timer is the only thing that aborts the request
+      const timedOut = error.name === 'AbortError' || controller.signal.aborted;
+      throw this.failureError(error, {
+        code: this.failureReason(error, timedOut),
+        status: error.status ?? status,
+        bytes,
+        durationMs: performance.now() - startTime
+      });
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Whether a download response came from a captive portal rather than the
+   * test endpoint: 511 Network Authentication Required, or a successful
+   * response with an HTML body where we expect bytes (portals answer with,
+   * or redirect to, their login page). Other error statuses are plain HTTP
+   * errors, whatever their body: server and proxy error pages are HTML too.
+   * @param {Response} response
+   * @returns {boolean}
+   */
+  isCaptivePortalResponse(response) {
+    if (response.status === 511) {
+      return true;
+    }
+    if (!response.ok) {
+      return false;
     }
+    const contentType = response.headers?.get('Content-Type') ?? '';
+    return contentType.includes('text/html');
+  }
+
+  /**
+   * @returns {Error} error with code 'captive-portal'
+   */
+  captivePortalError() {
+    const error = new Error('Captive portal intercepted the speed test');
+    error.code = 'captive-portal';
+    return error;
+  }
+
+  /**
+   * @param {number} status - HTTP status of the response
+   * @returns {Error} error with code 'http-error' and the status
+   */
+  httpError(status) {
+    const error = new Error(`HTTP error: ${status}`);
+    error.code = 'http-error';
+    error.status = status;
+    return error;
+  }
+
+  /**
+   * Picks the FailureInfo reason for an error that ended a download.
+   * @param {Error} error
+   * @param {boolean} timedOut - Whether our timer aborted the request
+   * @returns {string}
+   */
+  failureReason(error, timedOut) {
+    // A DOMException has a numeric code of its own
+    if (FAILURE_REASONS.includes(error.code)) {
+      return error.code;
+    }
+    return timedOut ? 'timeout' : 'network-error';
+  }
+
+  /**
+   * Wraps an error that ended a download in one carrying the details
+   * describeFailure reads. The caught error is left alone, as an aborted
+   * fetch throws a DOMException whose code can't be set.
+   * @param {Error} cause
+   * @param {{code: string, status?: number|null, bytes?: number, durationMs?: number}} details
+   * @returns {Error}
+   */
+  failureError(cause, details) {
+    return Object.assign(new Error(cause.message, { cause }), details);
+  }
+
+  /**
+   * Describes why a download produced no result, from the error that ended
+   * it (see downloadOnce).
+   * @param {Error} error
+   * @param {number} [durationMs] - Time until the failure, if the error doesn't carry it
+   * @returns {FailureInfo}
+   */
+  describeFailure(error, durationMs = error.durationMs ?? 0) {
+    return {
+      reason: error.code ?? 'network-error',
+      httpStatus: error.status ?? null,
+      bytesReceived: error.bytes ?? 0,
+      durationMs: Math.round(durationMs)
+    };
+  }
+
+  /**
+   * Breaks a completed request down into connection phases using its
+   * PerformanceResourceTiming entry. Cross-origin endpoints must send
+   * Timing-Allow-Origin (our Worker does), otherwise the browser zeroes the
+   * detailed timestamps and this returns null.
+   * @param {string} url - The exact URL that was fetched
+   * @returns {TimingPhases|null}
+   */
+  getResourceTiming(url) {
+    if (typeof performance.getEntriesByName !== 'function') {
+      return null;
+    }
+
+    const absoluteUrl = new URL(url, globalThis.location?.href).href;
+    const entries = performance.getEntriesByName(absoluteUrl, 'resource');
+    const entry = entries[entries.length - 1];
+
+    if (!entry || entry.requestStart === 0) {
+      return null;
+    }
+
+    const round = (ms) => Math.max(0, Math.round(ms * 10) / 10);
+    const tlsStart = entry.secureConnectionStart > 0 ? entry.secureConnectionStart : entry.connectEnd;
+    return {
+      dnsMs: round(entry.domainLookupEnd - entry.domainLookupStart),
+      connectMs: round(tlsStart - entry.connectStart),
+      tlsMs: round(entry.connectEnd - tlsStart),
+      ttfbMs: round(entry.responseStart - entry.requestStart),
+      transferMs: round(entry.responseEnd - entry.responseStart)
+    };
+  }
+
+  /**
+   * Calculates the speed of a download round.
+   * @param {number} bytes
+   * @param {number} durationMs
+   * @param {boolean} partial - Whether the transfer was cut short
+   * @returns {{speedMbps: number, bytes: number, durationMs: number, partial: boolean}}
+   */
+  downloadResult(bytes, durationMs, partial) {
+    const speedMbps = ((bytes * 8) / (durationMs / 1000)) / 1000000;
+    return {
+      speedMbps: Math.round(speedMbps * 100) / 100, // Round to 2 decimal places
+      bytes,
+      durationMs,
+      partial
+    };
   }
 
   /**
-   * Runs multiple speed tests and returns the average.
+   * Sends a burst of small sequential requests and summarises their
+   * round-trip times. Jitter is the mean absolute difference between
+   * consecutive successful RTTs; packetLoss is the share of probes that
+   * failed or timed out (0–1).
+   * @returns {Promise<{latencyMs: number|null, jitterMs: number|null, packetLoss: number|null}>}
+   */
+  async measureLatency() {
+    if (this.latencyProbeCount <= 0) {
+      return { ...NO_LATENCY };
+    }
+
+    const rtts = [];
+    for (let i = 0; i < this.latencyProbeCount; i++) {
+      const rtt = await this.probeLatency();
+      if (rtt !== null) {
+        rtts.push(rtt);
+      }
+    }
+
+    const packetLoss = Math.round((1 - rtts.length / this.latencyProbeCount) * 100) / 100;
+    if (rtts.length === 0) {
+      return { latencyMs: null, jitterMs: null, packetLoss };
+    }
+
+    const sorted = [...rtts].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    const median = sorted.length % 2 === 0
+      ? (sorted[mid - 1] + sorted[mid]) / 2
+      : sorted[mid];
+
+    let jitter = 0;
+    for (let i = 1; i < rtts.length; i++) {
+      jitter += Math.abs(rtts[i] - rtts[i - 1]);
+    }
+    jitter = rtts.length > 1 ? jitter / (rtts.length - 1) : 0;
+
+    return {
+      latencyMs: Math.round(median * 10) / 10,
+      jitterMs: Math.round(jitter * 10) / 10,
+      packetLoss
+    };
+  }
+
+  /**
+   * Times a single latency probe.
+   * @returns {Promise<number|null>} Round-trip time in ms, null if the probe failed
+   */
+  async probeLatency() {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.latencyTimeout);
+
+    try {
+      const startTime = performance.now();
+      const response = await fetch(this.cacheBust(this.latencyUrl), {
+        signal: controller.signal,
+        cache: 'no-store'
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP error: ${response.status}`);
+      }
+      return performance.now() - startTime;
+    } catch (error) {
+      return null;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Measures the upload speed by POSTing a generated payload.
+   * @returns {Promise<number|null>} Upload speed in Mbps, null if the upload failed
+   */
+  async measureUpload() {
+    const payload = this.createUploadPayload();
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const startTime = performance.now();
+
+      const response = await fetch(this.uploadUrl, {
+        method: 'POST',
+        body: payload,
+        signal: controller.signal,
+        cache: 'no-store'
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP error: ${response.status}`);
+      }
+
+      const endTime = performance.now();
+
+      const durationSeconds = (endTime - startTime) / 1000;
+      const uploadMbps = ((payload.byteLength * 8) / durationSeconds) / 1000000;
+      return Math.round(uploadMbps * 100) / 100;
+    } catch (error) {
+      return null;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Estimated bytes the latency probes of one measurement use: they carry
+   * no payload, but each request and response still costs headers.
+   * @returns {number}
+   */
+  probeBytes() {
+    return Math.max(0, this.latencyProbeCount) * this.requestBytes;
+  }
+
+  /**
+   * Bytes an upload counts towards bytesTransferred. A failed upload counts
+   * nothing: how much of it went out before the failure isn't known, and
+   * counting the whole payload would inflate usage on exactly the bad links
+   * the data budget is for.
+   * @param {number|null} uploadMbps - Result of measureUpload
+   * @returns {number}
+   */
+  uploadedBytes(uploadMbps) {
+    return uploadMbps === null ? 0 : this.uploadSize;
+  }
+
+  /**
+   * Generates the upload payload. Random bytes so that compressing proxies
+   * on the path can't shrink it and inflate the result.
+   * @returns {Uint8Array}
+   */
+  createUploadPayload() {
+    const payload = new Uint8Array(this.uploadSize);
+    // getRandomValues fills at most 65536 bytes per call
+    const chunkSize = 65536;
+    for (let offset = 0; offset < payload.length; offset += chunkSize) {
+      crypto.getRandomValues(payload.subarray(offset, offset + chunkSize));
+    }
+    return payload;
+  }
+
+  /**
+   * Runs multiple speed tests and returns the average. Bytes and duration
+   * are totals across all runs. failure is only set when every run failed,
+   * and is then the last run's.
    * @param {number} [count=3] - Number of tests to run
-   * @returns {Promise<{speedMbps: number|null, connectionType: string}>}
+   * @returns {Promise<SpeedTestResult>}
    */
   async measureSpeedAverage(count = 3) {
     const results = [];
@@ -115,18 +1022,37 @@ export class SpeedTestService {
     for (let i = 0; i < count; i++) {
       const result = await this.measureSpeed();
       lastConnectionType = result.connectionType;
-      if (result.speedMbps !== null) {
-        results.push(result.speedMbps);
-      }
+      results.push(result);
     }
 
-    if (results.length === 0) {
-      return { speedMbps: null, connectionType: lastConnectionType };
-    }
+    const average = (key, precision) => {
+      const values = results.map(r => r[key]).filter(v => v != null);
+      if (values.length === 0) {
+        return null;
+      }
+      const avg = values.reduce((a, b) => a + b, 0) / values.length;
+      return Math.round(avg * precision) / precision;
+    };
+
+    const speedMbps = average('speedMbps', 100);
 
-    const avgSpeed = results.reduce((a, b) => a + b, 0) / results.length;
     return {
-      speedMbps: Math.round(avgSpeed * 100) / 100,
+      speedMbps,
+      uploadMbps: average('uploadMbps', 100),
+      latencyMs: average('latencyMs', 10),
+      jitterMs: average('jitterMs', 10),
+      packetLoss: average('packetLoss', 100),
+      bytesTransferred: results.reduce((sum, r) => sum + (r.bytesTransferred ?? 0), 0),
+      testDurationMs: results.reduce((sum, r) => sum + (r.testDurationMs ?? 0), 0),
+      partial: results.some(r => r.partial),
+      networkInfo: results.length > 0 ? results[results.length - 1].networkInfo ?? null : null,
+      timing: results.length > 0 ? results[results.length - 1].timing ?? null : null,
+      testMode: 'full',
+      endpoints: results.length > 0 ? results[results.length - 1].endpoints ?? null : null,
+      // measureSpeed runs the standard test, which has no sustained figures
+      sustained: null,
+      testUrl: results.length > 0 ? results[results.length - 1].testUrl ?? null : null,
+      failure: speedMbps === null && results.length > 0 ? results[results.length - 1].failure ?? null : null,
       connectionType: lastConnectionType
     };
   }
@@ -1,8 +1,20 @@
 import { Journey } from '../models/Journey.js';
 
 const DB_NAME = 'signal-strength-db';
-const DB_VERSION = 1;
+const DB_VERSION = 2;
 const STORE_NAME = 'journeys';
+// Speed-test bytes per calendar month, added in version 2
+const USAGE_STORE_NAME = 'usage';
+
+/**
+ * Returns the local calendar month of a timestamp as 'YYYY-MM'.
+ * @param {number} timestamp
+ * @returns {string}
+ */
+function monthKey(timestamp) {
+  const date = new Date(timestamp);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
 
 /**
  * Service for storing and retrieving journey data using IndexedDB.
@@ -41,6 +53,10 @@ export class StorageService {
           store.createIndex('startTime', 'startTime', { unique: false });
           store.createIndex('name', 'name', { unique: false });
         }
+
+        if (!db.objectStoreNames.contains(USAGE_STORE_NAME)) {
+          db.createObjectStore(USAGE_STORE_NAME, { keyPath: 'month' });
+        }
       };
     });
   }
@@ -149,14 +165,76 @@ export class StorageService {
   }
 
   /**
-   * Exports a journey as a JSON file download.
+   * Adds speed-test bytes to the running total for their calendar month.
+   * @param {number} bytes
+   * @param {number} [timestamp] - When the bytes were used, defaults to now
+   * @returns {Promise<number>} The month's new total in bytes
+   */
+  async addDataUsage(bytes, timestamp = Date.now()) {
+    const db = await this.open();
+    const month = monthKey(timestamp);
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([USAGE_STORE_NAME], 'readwrite');
+      const store = transaction.objectStore(USAGE_STORE_NAME);
+      const getRequest = store.get(month);
+
+      getRequest.onerror = () => {
+        reject(new Error('Failed to update data usage'));
+      };
+
+      getRequest.onsuccess = () => {
+        const total = (getRequest.result?.bytes ?? 0) + bytes;
+        const putRequest = store.put({ month, bytes: total });
+
+        putRequest.onerror = () => {
+          reject(new Error('Failed to update data usage'));
+        };
+
+        putRequest.onsuccess = () => {
+          resolve(total);
+        };
+      };
+    });
+  }
+
+  /**
+   * Gets the speed-test bytes used in a calendar month.
+   * @param {number} [timestamp] - Any time within the month, defaults to now
+   * @returns {Promise<number>} Total in bytes, 0 if nothing was recorded
+   */
+  async getDataUsage(timestamp = Date.now()) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([USAGE_STORE_NAME], 'readonly');
+      const store = transaction.objectStore(USAGE_STORE_NAME);
+      const request = store.get(monthKey(timestamp));
+
+      request.onerror = () => {
+        reject(new Error('Failed to get data usage'));
+      };
+
+      request.onsuccess = () => {
+        resolve(request.result?.bytes ?? 0);
+      };
+    });
+  }
+
+  /**
+   * Exports a journey as a JSON file download, with the distances derived
+   * from it alongside (import ignores them).
    * @param {Journey} journey
    */
   async exportJourney(journey) {
     const exportData = {
       version: '1.0',
       exportedAt: new Date().toISOString(),
-      journey: journey.toJSON()
+      journey: journey.toJSON(),
+      route: {
+        distance: Math.round(journey.getDistance()),
+        pointDistances: journey.getRouteDistances().map(distance => (distance === null ? null : Math.round(distance)))
+      }
     };
 
     const filename = `journey-${journey.name.replace(/[^a-z0-9]/gi, '-').toLowerCase()}-${Date.now()}.json`;
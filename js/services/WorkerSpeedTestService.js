@@ -0,0 +1,172 @@
+import { SpeedTestService } from './SpeedTestService.js';
+
+/**
+ * Speed-test service that runs each measurement in a dedicated worker
+ * (js/workers/speedTestWorker.js).
+ *
+ * On the main thread, a busy UI or a throttled background tab delays the
+ * promise callbacks that read the response stream and take timestamps,
+ * which inflates durations and understates throughput. The worker does the
+ * whole measurement, so results are the same SpeedTestResult objects that
+ * SpeedTestService returns, just timed off the main thread.
+ *
+ * Falls back to an in-page SpeedTestService when workers are unavailable
+ * (e.g. jsdom in tests, or module workers unsupported) or the worker fails.
+ */
+export class WorkerSpeedTestService {
+  /**
+   * @param {Object} options - SpeedTestService options, passed on to the worker
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.fallback = new SpeedTestService(options);
+    this.worker = null;
+    this.pending = new Map();
+    this.nextId = 1;
+
+    this.startWorker();
+  }
+
+  /**
+   * Starts the measurement worker, leaving this.worker null if it can't run.
+   */
+  startWorker() {
+    if (typeof Worker === 'undefined') {
+      return;
+    }
+
+    try {
+      this.worker = new Worker(new URL('../workers/speedTestWorker.js', import.meta.url), { type: 'module' });
+    } catch (err) {
+      // e.g. browsers without module worker support
+      console.warn('WorkerSpeedTestService: worker unavailable, measuring on the main thread:', err);
+      return;
+    }
+
+    this.worker.onmessage = (e) => this.handleReply(e.data);
+    this.worker.onerror = (e) => this.handleWorkerError(e);
+    this.worker.postMessage({ command: 'init', options: this.options });
+  }
+
+  /**
+   * Whether measurements currently run in the worker.
+   * @returns {boolean}
+   */
+  isUsingWorker() {
+    return this.worker !== null;
+  }
+
+  /**
+   * Reads the connection type on the main thread; no measurement involved.
+   * @returns {'wifi'|'cellular'|'unknown'|'disconnected'}
+   * @see SpeedTestService#getConnectionType
+   */
+  getConnectionType() {
+    return this.fallback.getConnectionType();
+  }
+
+  /**
+   * Reads the browser's connection estimate on the main thread.
+   * @returns {NetworkInfo|null}
+   * @see SpeedTestService#getNetworkInfo
+   */
+  getNetworkInfo() {
+    return this.fallback.getNetworkInfo();
+  }
+
+  /**
+   * @returns {Promise<SpeedTestResult>}
+   * @see SpeedTestService#measureSpeed
+   */
+  measureSpeed() {
+    return this.run('measureSpeed');
+  }
+
+  /**
+   * @returns {Promise<SpeedTestResult>}
+   * @see SpeedTestService#measureLatencyOnly
+   */
+  measureLatencyOnly() {
+    return this.run('measureLatencyOnly');
+  }
+
+  /**
+   * @returns {Promise<SpeedTestResult>}
+   * @see SpeedTestService#measureSustained
+   */
+  measureSustained() {
+    return this.run('measureSustained');
+  }
+
+  /**
+   * @param {number} [count=3]
+   * @returns {Promise<SpeedTestResult>}
+   * @see SpeedTestService#measureSpeedAverage
+   */
+  measureSpeedAverage(count = 3) {
+    return this.run('measureSpeedAverage', count);
+  }
+
+  /**
+   * Runs a SpeedTestService method in the worker, or on the main thread
+   * when there is no worker.
+   * @param {string} method
+   * @param {...*} args - Must be structured-cloneable
+   * @returns {Promise<*>}
+   */
+  run(method, ...args) {
+    if (!this.worker) {
+      return this.fallback[method](...args);
+    }
+
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { method, args, resolve, reject });
+      this.worker.postMessage({ command: 'run', id, method, args });
+    });
+  }
+
+  /**
+   * Settles the request a worker reply belongs to.
+   * @param {{id: number, result?: *, error?: string}} reply
+   */
+  handleReply({ id, result, error }) {
+    const request = this.pending.get(id);
+    if (!request) {
+      return;
+    }
+
+    this.pending.delete(id);
+    if (error !== undefined) {
+      request.reject(new Error(error));
+    } else {
+      request.resolve(result);
+    }
+  }
+
+  /**
+   * Drops a worker that failed to load or crashed and reruns its
+   * outstanding measurements on the main thread.
+   * @param {ErrorEvent} event
+   */
+  handleWorkerError(event) {
+    console.warn('WorkerSpeedTestService: worker failed, measuring on the main thread:', event.message);
+    this.terminate();
+
+    const requests = [...this.pending.values()];
+    this.pending.clear();
+    requests.forEach(({ method, args, resolve, reject }) => {
+      this.fallback[method](...args).then(resolve, reject);
+    });
+  }
+
+  /**
+   * Stops the worker. Later measurements run on the main thread.
+   */
+  terminate() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+  }
+}
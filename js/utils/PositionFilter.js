@@ -0,0 +1,123 @@
+import { haversineDistance, offsetPosition } from './geo.js';
+
+/**
+ * Smooths GPS fixes and drops the ones that can't be right.
+ *
+ * In stations and cuttings the GPS often jumps by hundreds of meters for a
+ * fix or two. A fix that would mean travelling faster than maxSpeed since
+ * the last accepted one (allowing for both fixes' accuracy) is rejected.
+ * If several in a row disagree, the filter was probably the one that was
+ * wrong, so it starts over from the latest fix.
+ *
+ * Accepted fixes go through a simple Kalman filter: between fixes the
+ * position moves along the last GPS-reported heading and speed, and its
+ * uncertainty grows by processNoise m/s; each fix then pulls the estimate
+ * towards it, weighted by its accuracy.
+ */
+export class PositionFilter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.processNoise=3] - How fast the estimate's
+   *   uncertainty grows between fixes, in m/s
+   * @param {number} [options.maxSpeed=100] - Fastest plausible travel in m/s
+   * @param {number} [options.maxRejections=3] - Consecutive rejected fixes
+   *   after which the filter restarts from the next one
+   */
+  constructor({ processNoise = 3, maxSpeed = 100, maxRejections = 3 } = {}) {
+    this.processNoise = processNoise;
+    this.maxSpeed = maxSpeed;
+    this.maxRejections = maxRejections;
+    this.reset();
+  }
+
+  /**
+   * Forgets all previous fixes, e.g. when a new recording starts.
+   */
+  reset() {
+    this.state = null;
+    this.lastFix = null;
+    this.rejections = 0;
+  }
+
+  /**
+   * Feeds a fix into the filter.
+   * @param {Position} fix - From GeolocationService
+   * @returns {Position|null} The smoothed position, or null if the fix was
+   *   rejected. accuracy stays the fix's own, so accuracy limits still apply
+   *   to what the GPS reported; the estimate's uncertainty is in
+   *   `smoothedAccuracy` and the fix itself in `raw` ({ latitude, longitude,
+   *   accuracy })
+   */
+  update(fix) {
+    const outlier = this.state !== null && this.isOutlier(fix);
+    if (outlier && this.rejections < this.maxRejections) {
+      this.rejections++;
+      return null;
+    }
+
+    if (this.state === null || outlier) {
+      this.state = {
+        latitude: fix.latitude,
+        longitude: fix.longitude,
+        variance: Math.max(fix.accuracy, 1) ** 2,
+        timestamp: fix.timestamp
+      };
+    } else {
+      this.predict(fix.timestamp);
+      this.correct(fix);
+    }
+    this.rejections = 0;
+    this.lastFix = fix;
+
+    return {
+      ...fix,
+      latitude: this.state.latitude,
+      longitude: this.state.longitude,
+      smoothedAccuracy: Math.round(Math.sqrt(this.state.variance) * 10) / 10,
+      raw: { latitude: fix.latitude, longitude: fix.longitude, accuracy: fix.accuracy }
+    };
+  }
+
+  /**
+   * Whether reaching a fix from the last accepted one would take an
+   * impossible speed.
+   * @param {Position} fix
+   * @returns {boolean}
+   */
+  isOutlier(fix) {
+    const last = this.lastFix;
+    const distance = haversineDistance(last.latitude, last.longitude, fix.latitude, fix.longitude);
+    const unexplained = distance - fix.accuracy - last.accuracy;
+    if (unexplained <= 0) {
+      return false;
+    }
+    const seconds = (fix.timestamp - last.timestamp) / 1000;
+    return seconds <= 0 || unexplained / seconds > this.maxSpeed;
+  }
+
+  /**
+   * Moves the estimate forward to a timestamp along the last known velocity.
+   * @param {number} timestamp
+   */
+  predict(timestamp) {
+    const seconds = Math.max(0, (timestamp - this.state.timestamp) / 1000);
+    const { speed, heading } = this.lastFix;
+    if (speed != null && heading != null) {
+      Object.assign(this.state, offsetPosition(this.state.latitude, this.state.longitude, speed * seconds, heading));
+    }
+    // Drifting at up to processNoise m/s adds that many meters per second
+    this.state.variance += (seconds * this.processNoise) ** 2;
+    this.state.timestamp = timestamp;
+  }
+
+  /**
+   * Pulls the estimate towards a fix, weighted by its accuracy.
+   * @param {Position} fix
+   */
+  correct(fix) {
+    const gain = this.state.variance / (this.state.variance + Math.max(fix.accuracy, 1) ** 2);
+    this.state.latitude += gain * (fix.latitude - this.state.latitude);
+    this.state.longitude += gain * (fix.longitude - this.state.longitude);
+    this.state.variance *= 1 - gain;
+  }
+}
@@ -0,0 +1,110 @@
+import { Config } from '../Config.js';
+
+/**
+ * The limits a quality profile tier may set, keyed by limit name: which
+ * measurement each one checks, whether it is a floor or a ceiling, and how
+ * to describe it in the legend.
+ */
+const LIMITS = {
+  minDownloadMbps: { metric: 'speedMbps', min: true, prefix: '', unit: ' Mbps', scale: 1 },
+  minUploadMbps: { metric: 'uploadMbps', min: true, prefix: '↑ ', unit: ' Mbps', scale: 1 },
+  maxLatencyMs: { metric: 'latencyMs', min: false, prefix: '', unit: ' ms', scale: 1 },
+  maxJitterMs: { metric: 'jitterMs', min: false, prefix: 'jitter ', unit: ' ms', scale: 1 },
+  maxPacketLoss: { metric: 'packetLoss', min: false, prefix: 'loss ', unit: '%', scale: 100 }
+};
+
+/**
+ * Profile used when none is picked: the first one in Config.
+ */
+export const DEFAULT_PROFILE = Config.qualityProfiles[0];
+
+/**
+ * Looks up a quality profile by id, falling back to the first profile for
+ * unknown or missing ids (e.g. a saved choice whose profile was removed).
+ * @param {string|null} id
+ * @param {Array<Object>} [profiles=Config.qualityProfiles]
+ * @returns {Object}
+ */
+export function getProfile(id, profiles = Config.qualityProfiles) {
+  return profiles.find(profile => profile.id === id) ?? profiles[0];
+}
+
+/**
+ * Checks measurements against one tier of a profile. A measurement that
+ * wasn't taken (null or missing) doesn't count against the tier: older points
+ * have no latency or upload figures.
+ * @param {Object} metrics - speedMbps, uploadMbps, latencyMs, jitterMs, packetLoss
+ * @param {Object} limits - e.g. { minDownloadMbps: 5, maxLatencyMs: 300 }
+ * @returns {boolean}
+ * @throws {Error} on a limit name this module doesn't know
+ */
+export function meetsLimits(metrics, limits) {
+  return Object.entries(limits).every(([name, limit]) => {
+    const spec = LIMITS[name];
+    if (!spec) {
+      throw new Error(`Unknown quality limit: ${name}`);
+    }
+    const value = metrics[spec.metric] ?? null;
+    if (value === null) {
+      return true;
+    }
+    return spec.min ? value >= limit : value <= limit;
+  });
+}
+
+/**
+ * Whether every measurement a tier sets a limit on was taken.
+ * @param {Object} metrics
+ * @param {Object} limits
+ * @returns {boolean}
+ */
+export function hasMeasurements(metrics, limits) {
+  return Object.keys(limits).every(name => (metrics[LIMITS[name]?.metric] ?? null) !== null);
+}
+
+/**
+ * Classifies measurements with a quality profile. Callers handle points
+ * without a download result (offline, latency-only) themselves.
+ * @param {Object} metrics - speedMbps, uploadMbps, latencyMs, jitterMs, packetLoss
+ * @param {Object} [profile=DEFAULT_PROFILE]
+ * @returns {'good'|'moderate'|'poor'}
+ */
+export function classify(metrics, profile = DEFAULT_PROFILE) {
+  if (meetsLimits(metrics, profile.good)) {
+    return 'good';
+  }
+  if (meetsLimits(metrics, profile.moderate)) {
+    return 'moderate';
+  }
+  return 'poor';
+}
+
+/**
+ * Describes the limits of a tier, e.g. "≥5 Mbps, ≤300 ms". With `negate`,
+ * describes what fails them instead, e.g. "<1 Mbps or >1000 ms".
+ * @param {Object} limits
+ * @param {boolean} [negate=false]
+ * @returns {string}
+ */
+export function describeLimits(limits, negate = false) {
+  return Object.entries(limits)
+    .map(([name, limit]) => {
+      const { min, prefix, unit, scale } = LIMITS[name];
+      const operator = min ? (negate ? '<' : '≥') : (negate ? '>' : '≤');
+      return `${prefix}${operator}${limit * scale}${unit}`;
+    })
+    .join(negate ? ' or ' : ', ');
+}
+
+/**
+ * Legend text for each quality level of a profile.
+ * @param {Object} profile
+ * @returns {{good: string, moderate: string, poor: string}}
+ */
+export function getLegendLabels(profile) {
+  return {
+    good: describeLimits(profile.good),
+    moderate: describeLimits(profile.moderate),
+    poor: describeLimits(profile.moderate, true)
+  };
+}
@@ -0,0 +1,28 @@
+/**
+ * Decides how much measuring the remaining mobile data budget allows.
+ *
+ *   'full'         - normal speed tests at the normal interval
+ *   'reduced'      - speed tests, but less often
+ *   'latency-only' - latency probes only; no download/upload payloads
+ *
+ * @param {number} usedBytes - Bytes used so far this month
+ * @param {number|null} capBytes - Monthly cap in bytes, null for no cap
+ * @param {Object} thresholds
+ * @param {number} thresholds.reduceAt - Share of the cap (0–1) from which to test less often
+ * @param {number} thresholds.latencyOnlyAt - Share of the cap (0–1) from which to stop speed tests
+ * @returns {'full'|'reduced'|'latency-only'}
+ */
+export function getBudgetMode(usedBytes, capBytes, { reduceAt, latencyOnlyAt }) {
+  if (!capBytes) {
+    return 'full';
+  }
+
+  const share = usedBytes / capBytes;
+  if (share >= latencyOnlyAt) {
+    return 'latency-only';
+  }
+  if (share >= reduceAt) {
+    return 'reduced';
+  }
+  return 'full';
+}
@@ -1,13 +1,29 @@
+import { classify, DEFAULT_PROFILE } from './classification.js';
+
+/**
+ * Escapes text for use in HTML, e.g. popup content built from stored or
+ * imported values.
+ * @param {*} text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+  return String(text).replace(/[&<>"']/g, char => entities[char]);
+}
+
 /**
  * Formats a speed value in Mbps for display.
  * @param {number|null} speedMbps
  * @param {string} [connectionType] - Used to differentiate offline states.
+ * @param {string} [testMode] - 'latency-only' points have no speed by design.
  * @returns {string}
  */
-export function formatSpeed(speedMbps, connectionType) {
+export function formatSpeed(speedMbps, connectionType, testMode) {
   if (speedMbps === null) {
     if (connectionType === 'disconnected') return 'Disconnected';
     if (connectionType === 'no-signal') return 'No signal';
+    if (connectionType === 'captive-portal') return 'Captive portal';
+    if (testMode === 'latency-only' && connectionType !== 'offline') return 'Latency only';
     return 'Offline';
   }
   if (speedMbps >= 10) {
@@ -16,6 +32,78 @@ export function formatSpeed(speedMbps, connectionType) {
   return `${speedMbps.toFixed(1)} Mbps`;
 }
 
+/**
+ * Formats latency probe results for display, e.g. "45 ms (jitter 5 ms, 20% loss)".
+ * @param {number|null} latencyMs
+ * @param {number|null} [jitterMs]
+ * @param {number|null} [packetLoss] - Share of failed probes (0–1)
+ * @returns {string}
+ */
+export function formatLatency(latencyMs, jitterMs = null, packetLoss = null) {
+  const details = [];
+  if (jitterMs !== null) {
+    details.push(`jitter ${Math.round(jitterMs)} ms`);
+  }
+  if (packetLoss !== null) {
+    details.push(`${Math.round(packetLoss * 100)}% loss`);
+  }
+  const suffix = details.length > 0 ? ` (${details.join(', ')})` : '';
+  if (latencyMs === null) {
+    return `--${suffix}`;
+  }
+  return `${Math.round(latencyMs)} ms${suffix}`;
+}
+
+/**
+ * Formats the browser's Network Information estimate, e.g. "4g · 10 Mbps · 50 ms · data saver".
+ * @param {{effectiveType: string|null, downlink: number|null, rtt: number|null, saveData: boolean|null}|null} networkInfo
+ * @returns {string}
+ */
+export function formatNetworkInfo(networkInfo) {
+  if (!networkInfo) {
+    return 'Not available';
+  }
+  const parts = [];
+  if (networkInfo.effectiveType !== null) {
+    parts.push(networkInfo.effectiveType);
+  }
+  if (networkInfo.downlink !== null) {
+    parts.push(formatSpeed(networkInfo.downlink));
+  }
+  if (networkInfo.rtt !== null) {
+    parts.push(`${Math.round(networkInfo.rtt)} ms`);
+  }
+  if (networkInfo.saveData) {
+    parts.push('data saver');
+  }
+  return parts.length > 0 ? parts.join(' · ') : 'Not available';
+}
+
+/**
+ * Labels for the Resource Timing phases, in request order.
+ */
+export const TIMING_PHASE_LABELS = {
+  dnsMs: 'DNS',
+  connectMs: 'Connect',
+  tlsMs: 'TLS',
+  ttfbMs: 'Wait (TTFB)',
+  transferMs: 'Transfer'
+};
+
+/**
+ * Formats Resource Timing phases, e.g. "DNS 12 ms · Connect 30 ms · …".
+ * @param {{dnsMs: number, connectMs: number, tlsMs: number, ttfbMs: number, transferMs: number}|null} timing
+ * @returns {string}
+ */
+export function formatTimingPhases(timing) {
+  if (!timing) {
+    return 'Not available';
+  }
+  return Object.entries(TIMING_PHASE_LABELS)
+    .map(([phase, label]) => `${label} ${Math.round(timing[phase])} ms`)
+    .join(' · ');
+}
+
 /**
  * Human-readable label for a connection type.
  * @param {string} connectionType
@@ -27,6 +115,7 @@ export function formatConnectionType(connectionType) {
     case 'cellular': return 'Cellular';
     case 'disconnected': return 'Disconnected (tether dropped)';
     case 'no-signal': return 'No signal (upstream unreachable)';
+    case 'captive-portal': return 'Captive portal (login required)';
     case 'offline': return 'Offline';
     case 'unknown':
     default: return 'Unknown';
@@ -50,6 +139,42 @@ export function formatPosition(latitude, longitude) {
   return `${Math.abs(lat)}°${latDir}, ${Math.abs(lng)}°${lngDir}`;
 }
 
+/**
+ * Formats a GPS ground speed for display, e.g. "87 km/h".
+ * @param {number|null} metersPerSecond
+ * @returns {string}
+ */
+export function formatGroundSpeed(metersPerSecond) {
+  if (metersPerSecond === null) {
+    return '--';
+  }
+  return `${Math.round(metersPerSecond * 3.6)} km/h`;
+}
+
+/**
+ * Formats a distance for display, e.g. "850 m" or "14.2 km".
+ * @param {number|null} meters
+ * @returns {string}
+ */
+export function formatDistance(meters) {
+  if (meters === null) {
+    return '--';
+  }
+  if (meters < 1000) {
+    return `${Math.round(meters)} m`;
+  }
+  return `${(meters / 1000).toFixed(1)} km`;
+}
+
+/**
+ * Formats a position along the route, e.g. "km 14.2".
+ * @param {number} meters - Distance from the start of the route
+ * @returns {string}
+ */
+export function formatRouteKm(meters) {
+  return `km ${(meters / 1000).toFixed(1)}`;
+}
+
 /**
  * Formats a timestamp for display.
  * @param {number} timestamp - Unix timestamp in milliseconds
@@ -66,6 +191,126 @@ export function formatTime(timestamp) {
   });
 }
 
+/**
+ * Formats a byte count for display (decimal units, matching Mbps).
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatBytes(bytes) {
+  if (bytes >= 1000000000) {
+    return `${(bytes / 1000000000).toFixed(2)} GB`;
+  }
+  if (bytes >= 1000000) {
+    return `${(bytes / 1000000).toFixed(1)} MB`;
+  }
+  if (bytes >= 1000) {
+    return `${Math.round(bytes / 1000)} KB`;
+  }
+  return `${bytes} B`;
+}
+
+/**
+ * Map icons for browser network events.
+ */
+export const NETWORK_EVENT_ICONS = {
+  online: '📶',
+  offline: '📵',
+  change: '🔄'
+};
+
+/**
+ * Describes a browser network event, e.g. "Connection changed: Cellular (3g)".
+ * @param {{type: string, connectionType: string, effectiveType: string|null}} event
+ * @returns {string}
+ */
+export function formatNetworkEvent({ type, connectionType, effectiveType }) {
+  if (type === 'offline') {
+    return 'Browser went offline';
+  }
+  const connection = `${formatConnectionType(connectionType)}${effectiveType ? ` (${effectiveType})` : ''}`;
+  return type === 'online' ? `Browser back online: ${connection}` : `Connection changed: ${connection}`;
+}
+
+/**
+ * Formats sustained-mode throughput, e.g. "mean 18 Mbps, peak 22 Mbps (4 streams)".
+ * @param {{streams: number, peakMbps: number, meanMbps: number}} sustained
+ * @returns {string}
+ */
+export function formatSustained({ streams, peakMbps, meanMbps }) {
+  return `mean ${formatSpeed(meanMbps)}, peak ${formatSpeed(peakMbps)} (${streams} stream${streams === 1 ? '' : 's'})`;
+}
+
+/**
+ * Formats the comparison endpoint results of a point, e.g.
+ * "Origin 8.2 Mbps, unpkg CDN failed — only unpkg CDN down".
+ * @param {Array<{name: string, speedMbps: number|null, partial: boolean}>} endpoints
+ * @returns {string}
+ */
+export function formatEndpoints(endpoints) {
+  const results = endpoints
+    .map(({ name, speedMbps, partial }) => {
+      if (speedMbps === null) {
+        return `${name} failed`;
+      }
+      return `${name} ${formatSpeed(speedMbps)}${partial ? ' (partial)' : ''}`;
+    })
+    .join(', ');
+
+  const down = endpoints.filter(endpoint => endpoint.speedMbps === null);
+  if (down.length === 0) {
+    return results;
+  }
+  if (endpoints.length === 1) {
+    return results;
+  }
+  if (down.length === endpoints.length) {
+    return `${results} — all endpoints down`;
+  }
+  return `${results} — only ${down.map(endpoint => endpoint.name).join(', ')} down`;
+}
+
+/**
+ * Icons for each use-case readiness level; null means not judged.
+ */
+export const READINESS_ICONS = {
+  ready: '✅',
+  limited: '⚠️',
+  unusable: '❌'
+};
+
+/**
+ * Formats a point's use-case readiness, e.g. "✅ Messaging · ⚠️ Voice call · ❔ HD streaming".
+ * @param {Object<string, string|null>} scores - Readiness keyed by use case id
+ * @param {Array<{id: string, name: string}>} useCases
+ * @returns {string}
+ */
+export function formatReadiness(scores, useCases) {
+  return useCases
+    .map(({ id, name }) => `${READINESS_ICONS[scores[id]] ?? '❔'} ${name}`)
+    .join(' · ');
+}
+
+/**
+ * Describes why a measurement failed, e.g. "HTTP 503 after 0.2s" or
+ * "Timeout after 5.0s (12 KB received)".
+ * @param {{reason: string, httpStatus: number|null, bytesReceived: number, durationMs: number}} failure
+ * @returns {string}
+ */
+export function formatFailure({ reason, httpStatus, bytesReceived, durationMs }) {
+  const labels = {
+    'timeout': 'Timeout',
+    'http-error': `HTTP ${httpStatus}`,
+    'network-error': 'Network error (DNS, CORS or connection)',
+    'captive-portal': httpStatus === null ? 'Captive portal' : `Captive portal (HTTP ${httpStatus})`,
+    'disconnected': 'No local network'
+  };
+  if (reason === 'disconnected') {
+    return labels.disconnected;
+  }
+  const received = bytesReceived > 0 ? ` (${formatBytes(bytesReceived)} received)` : '';
+  return `${labels[reason]} after ${(durationMs / 1000).toFixed(1)}s${received}`;
+}
+
 /**
  * Formats a duration in milliseconds for display.
  * @param {number} durationMs
@@ -90,17 +335,13 @@ export function formatDuration(durationMs) {
 /**
  * Returns the quality label for a speed value.
  * @param {number|null} speedMbps
+ * @param {Object} [profile] - Quality profile to judge by, defaults to the first in Config
  * @returns {string}
  */
-export function getQualityLabel(speedMbps) {
+export function getQualityLabel(speedMbps, profile = DEFAULT_PROFILE) {
   if (speedMbps === null) {
     return 'Offline';
   }
-  if (speedMbps >= 5) {
-    return 'Good';
-  }
-  if (speedMbps >= 1) {
-    return 'Moderate';
-  }
-  return 'Poor';
+  const labels = { good: 'Good', moderate: 'Moderate', poor: 'Poor' };
+  return labels[classify({ speedMbps }, profile)];
 }
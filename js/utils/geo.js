@@ -0,0 +1,56 @@
+/**
+ * Mean Earth radius in meters.
+ */
+export const EARTH_RADIUS = 6371000;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Great-circle distance between two coordinates (haversine formula).
+ * @param {number} lat1
+ * @param {number} lon1
+ * @param {number} lat2
+ * @param {number} lon2
+ * @returns {number} Distance in meters
+ */
+export function haversineDistance(lat1, lon1, lat2, lon2) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Moves a coordinate by a distance along a compass heading. Accurate for
+ * the short hops between GPS fixes, not for long distances.
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {number} distance - In meters
+ * @param {number} heading - Degrees clockwise from true north
+ * @returns {{latitude: number, longitude: number}}
+ */
+export function offsetPosition(latitude, longitude, distance, heading) {
+  const north = distance * Math.cos(toRadians(heading));
+  const east = distance * Math.sin(toRadians(heading));
+  return {
+    latitude: latitude + (north / EARTH_RADIUS) * 180 / Math.PI,
+    longitude: longitude + (east / (EARTH_RADIUS * Math.cos(toRadians(latitude)))) * 180 / Math.PI
+  };
+}
+
+/**
+ * Initial compass bearing of the great-circle route between two coordinates.
+ * @param {number} lat1
+ * @param {number} lon1
+ * @param {number} lat2
+ * @param {number} lon2
+ * @returns {number} Degrees clockwise from true north, 0–360
+ */
+export function bearing(lat1, lon1, lat2, lon2) {
+  const dLon = toRadians(lon2 - lon1);
+  const y = Math.sin(dLon) * Math.cos(toRadians(lat2));
+  const x = Math.cos(toRadians(lat1)) * Math.sin(toRadians(lat2)) -
+    Math.sin(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.cos(dLon);
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
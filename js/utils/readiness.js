@@ -0,0 +1,49 @@
+import { Config } from '../Config.js';
+import { meetsLimits, hasMeasurements } from './classification.js';
+
+/**
+ * Route and marker colours for each readiness level; 'unknown' is for
+ * points that lack a measurement the use case needs.
+ */
+export const READINESS_COLORS = {
+  ready: '#4CAF50',
+  limited: '#FFC107',
+  unusable: '#f44336',
+  unknown: '#9E9E9E'
+};
+
+/**
+ * Judges whether a point supports a use case (see Config.useCases).
+ * Unreachable points are unusable for everything. A point missing any
+ * measurement the use case's `ready` tier needs can't be judged: an old
+ * point without latency says nothing about voice calls, and a latency-only
+ * point says nothing about streaming.
+ * @param {DataPoint} dataPoint
+ * @param {Object} useCase
+ * @returns {'ready'|'limited'|'unusable'|null} null when it can't be judged
+ */
+export function getReadiness(dataPoint, useCase) {
+  if (!dataPoint.isReachable() || (dataPoint.speedMbps === null && dataPoint.testMode !== 'latency-only')) {
+    return 'unusable';
+  }
+  if (!hasMeasurements(dataPoint, useCase.ready)) {
+    return null;
+  }
+  if (meetsLimits(dataPoint, useCase.ready)) {
+    return 'ready';
+  }
+  if (meetsLimits(dataPoint, useCase.limited)) {
+    return 'limited';
+  }
+  return 'unusable';
+}
+
+/**
+ * Judges a point against every use case.
+ * @param {DataPoint} dataPoint
+ * @param {Array<Object>} [useCases=Config.useCases]
+ * @returns {Object<string, 'ready'|'limited'|'unusable'|null>} Keyed by use case id
+ */
+export function getReadinessScores(dataPoint, useCases = Config.useCases) {
+  return Object.fromEntries(useCases.map(useCase => [useCase.id, getReadiness(dataPoint, useCase)]));
+}
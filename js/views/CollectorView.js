@@ -1,7 +1,10 @@
 import { Journey } from '../models/Journey.js';
 import { DataPoint } from '../models/DataPoint.js';
-import { formatSpeed, formatPosition, formatTime } from '../utils/formatters.js';
+import { formatSpeed, formatPosition, formatGroundSpeed, formatDistance, formatTime, formatBytes, formatSustained, formatFailure, escapeHtml, TIMING_PHASE_LABELS } from '../utils/formatters.js';
 import { BackgroundTimer } from '../utils/BackgroundTimer.js';
+import { getBudgetMode } from '../utils/dataBudget.js';
+import { DEFAULT_PROFILE } from '../utils/classification.js';
+import { PositionFilter } from '../utils/PositionFilter.js';
 
 /**
  * View for recording journey data.
@@ -10,25 +13,44 @@ export class CollectorView {
   /**
    * @param {Object} services
    * @param {GeolocationService} services.geolocationService
-   * @param {SpeedTestService} services.speedTestService
+   * @param {SpeedTestService|WorkerSpeedTestService} services.speedTestService
    * @param {StorageService} services.storageService
+   * @param {HeartbeatService} [services.heartbeatService] - Records connectivity
+   *   transitions between measurements; without it only measurements are recorded
+   * @param {NetworkEventService} [services.networkEventService] - Records browser
+   *   online/offline and connection change events
    * @param {Object} options
    * @param {number} [options.recordingInterval=30000] - Interval between measurements in ms
+   * @param {Object} [options.dataBudget] - Thresholds for the monthly data cap (see Config.dataBudget)
+   * @param {Object} [options.positionFilter] - GPS smoothing settings (see Config.positionFilter)
    */
-  constructor({ geolocationService, speedTestService, storageService }, options = {}) {
+  constructor({ geolocationService, speedTestService, storageService, heartbeatService = null,
+    networkEventService = null }, options = {}) {
     this.geolocationService = geolocationService;
     this.speedTestService = speedTestService;
     this.storageService = storageService;
+    this.heartbeatService = heartbeatService;
+    this.networkEventService = networkEventService;
 
     this.recordingInterval = options.recordingInterval ?? 30000;
     this.maxAccuracy = options.maxAccuracy ?? 100; // meters
+    this.dataBudget = options.dataBudget ?? { reduceAt: 0.75, reducedIntervalFactor: 3, latencyOnlyAt: 0.9 };
+    // Quality profile for colours and the title dot, picked on the map view
+    this.profile = DEFAULT_PROFILE;
 
     this.currentJourney = null;
     // Worker-backed timer so measurements keep their cadence in background tabs
     this.timer = new BackgroundTimer();
     this.isRecording = false;
+    // Set while a measurement runs; timer ticks that land on it are skipped
+    this.isMeasuring = false;
     this.watchId = null;
     this.latestPosition = null;
+    // Set when the location permission was revoked mid-recording; the
+    // recording then carries on as in speed-only mode until it comes back
+    this.locationRevoked = false;
+    // Smooths fixes and drops GPS jumps before they reach a data point
+    this.positionFilter = new PositionFilter(options.positionFilter);
     this.wakeLock = null;
     this.onDataPointRecorded = null;
 
@@ -36,14 +58,19 @@ export class CollectorView {
       view: document.getElementById('collector-view'),
       status: document.getElementById('recording-status'),
       position: document.getElementById('current-position'),
+      groundSpeed: document.getElementById('current-ground-speed'),
       speed: document.getElementById('current-speed'),
       pointCount: document.getElementById('point-count'),
+      distance: document.getElementById('distance'),
       journeyName: document.getElementById('journey-name'),
       startBtn: document.getElementById('start-btn'),
       stopBtn: document.getElementById('stop-btn'),
       errorMessage: document.getElementById('error-message'),
       dataPointsList: document.getElementById('data-points-list'),
-      speedOnlyToggle: document.getElementById('speed-only-mode')
+      speedOnlyToggle: document.getElementById('speed-only-mode'),
+      measurementMode: document.getElementById('measurement-mode'),
+      dataUsage: document.getElementById('data-usage'),
+      dataCap: document.getElementById('data-cap')
     };
 
     // Speed-only mode skips geolocation entirely — useful when location is
@@ -51,11 +78,25 @@ export class CollectorView {
     this.speedOnlyMode = localStorage.getItem('speedOnlyMode') === 'true';
     this.elements.speedOnlyToggle.checked = this.speedOnlyMode;
 
+    // 'standard' runs the adaptive download; 'sustained' runs parallel
+    // streams for a fixed window
+    this.measurementMode = localStorage.getItem('measurementMode') === 'sustained' ? 'sustained' : 'standard';
+    this.elements.measurementMode.value = this.measurementMode;
+
+    // Monthly data cap for speed tests in MB; null means unlimited. As usage
+    // approaches the cap, measurements get rarer and then latency-only
+    const savedCap = parseFloat(localStorage.getItem('dataCapMb'));
+    this.dataCapMb = savedCap > 0 ? savedCap : null;
+    this.elements.dataCap.value = this.dataCapMb ?? '';
+    this.monthlyUsage = 0;
+    this.budgetMode = 'full';
+
     // Original page title, restored when recording stops
     this.baseTitle = document.title;
 
     this.bindEvents();
     this.renderEmptyList();
+    this.loadDataUsage();
   }
 
   /**
@@ -68,6 +109,17 @@ export class CollectorView {
       this.speedOnlyMode = e.target.checked;
       localStorage.setItem('speedOnlyMode', String(this.speedOnlyMode));
     });
+    this.elements.measurementMode.addEventListener('change', (e) => {
+      this.measurementMode = e.target.value;
+      localStorage.setItem('measurementMode', this.measurementMode);
+    });
+    this.elements.dataCap.addEventListener('change', (e) => {
+      const cap = parseFloat(e.target.value);
+      this.dataCapMb = cap > 0 ? cap : null;
+      localStorage.setItem('dataCapMb', this.dataCapMb === null ? '' : String(this.dataCapMb));
+      this.updateBudgetMode();
+      this.updateDataUsage();
+    });
   }
 
   /**
@@ -92,11 +144,12 @@ export class CollectorView {
   updateUI() {
     if (this.isRecording) {
       this.elements.view.classList.add('recording');
-      this.elements.status.textContent = this.speedOnlyMode ? 'Measuring (speed only)...' : 'Measuring...';
+      this.elements.status.textContent = this.getStatusText();
       this.elements.startBtn.disabled = true;
       this.elements.stopBtn.disabled = false;
       this.elements.journeyName.disabled = true;
       this.elements.speedOnlyToggle.disabled = true;
+      this.elements.measurementMode.disabled = true;
     } else {
       this.elements.view.classList.remove('recording');
       this.elements.status.textContent = 'Stopped';
@@ -104,6 +157,7 @@ export class CollectorView {
       this.elements.stopBtn.disabled = true;
       this.elements.journeyName.disabled = false;
       this.elements.speedOnlyToggle.disabled = false;
+      this.elements.measurementMode.disabled = false;
     }
 
     if (this.currentJourney) {
@@ -113,15 +167,88 @@ export class CollectorView {
     }
   }
 
+  /**
+   * Describes what the recording is currently measuring.
+   * @returns {string}
+   */
+  getStatusText() {
+    if (this.budgetMode === 'latency-only') {
+      return 'Measuring (latency only, data cap)...';
+    }
+    if (this.budgetMode === 'reduced') {
+      return 'Measuring (less often, data cap)...';
+    }
+    const speedOnly = this.speedOnlyMode || this.locationRevoked;
+    if (this.measurementMode === 'sustained') {
+      return speedOnly ? 'Measuring (sustained, speed only)...' : 'Measuring (sustained)...';
+    }
+    return speedOnly ? 'Measuring (speed only)...' : 'Measuring...';
+  }
+
+  /**
+   * Shows the data used by speed tests in this journey and this month.
+   */
+  updateDataUsage() {
+    const journeyUsage = this.currentJourney ? formatBytes(this.currentJourney.getDataUsage()) : '--';
+    const cap = this.dataCapMb === null ? '' : ` / ${formatBytes(this.dataCapMb * 1e6)}`;
+    this.elements.dataUsage.textContent = `${journeyUsage} · ${formatBytes(this.monthlyUsage)}${cap} this month`;
+  }
+
+  /**
+   * Loads this month's stored usage total for the status panel.
+   */
+  async loadDataUsage() {
+    try {
+      this.monthlyUsage = await this.storageService.getDataUsage();
+    } catch (error) {
+      console.warn('Failed to load data usage:', error);
+    }
+    this.updateBudgetMode();
+    this.updateDataUsage();
+  }
+
+  /**
+   * Re-evaluates the budget mode against the cap. When it changes during a
+   * recording, the timer is restarted at the matching interval.
+   */
+  updateBudgetMode() {
+    const capBytes = this.dataCapMb === null ? null : this.dataCapMb * 1e6;
+    const mode = getBudgetMode(this.monthlyUsage, capBytes, this.dataBudget);
+    if (mode === this.budgetMode) {
+      return;
+    }
+
+    this.budgetMode = mode;
+    if (this.isRecording) {
+      this.timer.stop();
+      this.timer.start(() => {
+        this.recordDataPoint();
+      }, this.getMeasurementInterval());
+      this.updateUI();
+    }
+  }
+
+  /**
+   * Interval between measurements for the current budget mode.
+   * @returns {number} ms
+   */
+  getMeasurementInterval() {
+    return this.budgetMode === 'reduced'
+      ? this.recordingInterval * this.dataBudget.reducedIntervalFactor
+      : this.recordingInterval;
+  }
+
   /**
    * Updates the display with the latest measurement.
    * @param {DataPoint} dataPoint
    */
   updateDisplay(dataPoint) {
     this.elements.position.textContent = formatPosition(dataPoint.latitude, dataPoint.longitude);
-    this.elements.speed.textContent = formatSpeed(dataPoint.speedMbps, dataPoint.connectionType);
-    this.elements.speed.style.color = dataPoint.getColor();
+    this.elements.groundSpeed.textContent = formatGroundSpeed(dataPoint.groundSpeed);
+    this.elements.speed.textContent = formatSpeed(dataPoint.speedMbps, dataPoint.connectionType, dataPoint.testMode);
+    this.elements.speed.style.color = dataPoint.getColor(this.profile);
     this.elements.pointCount.textContent = this.currentJourney?.dataPoints.length || 0;
+    this.elements.distance.textContent = this.currentJourney ? formatDistance(this.currentJourney.getDistance()) : '--';
     this.addDataPointToList(dataPoint);
     this.updatePageTitle(dataPoint);
   }
@@ -132,14 +259,28 @@ export class CollectorView {
    * @param {DataPoint} dataPoint
    */
   updatePageTitle(dataPoint) {
-    const qualityDots = { good: '🟢', moderate: '🟡', poor: '🔴', offline: '⚪' };
-    const dot = qualityDots[dataPoint.getQuality()];
+    const qualityDots = { good: '🟢', moderate: '🟡', poor: '🔴', offline: '⚪', unmeasured: '🔵' };
+    const dot = qualityDots[dataPoint.getQuality(this.profile)];
     // Include the measurement time so a stale reading is recognisable
     const time = new Date(dataPoint.timestamp).toLocaleTimeString(undefined, {
       hour: '2-digit',
       minute: '2-digit'
     });
-    document.title = `${dot} ${formatSpeed(dataPoint.speedMbps, dataPoint.connectionType)} ${time} – ${this.baseTitle}`;
+    document.title = `${dot} ${formatSpeed(dataPoint.speedMbps, dataPoint.connectionType, dataPoint.testMode)} ${time} – ${this.baseTitle}`;
+  }
+
+  /**
+   * Switches the quality profile used for colours and the title dot. Points
+   * already in the list keep the colour they were recorded with.
+   * @param {Object} profile - See Config.qualityProfiles
+   */
+  setProfile(profile) {
+    this.profile = profile;
+    const latest = this.currentJourney?.dataPoints.at(-1);
+    if (this.isRecording && latest) {
+      this.elements.speed.style.color = latest.getColor(profile);
+      this.updatePageTitle(latest);
+    }
   }
 
   /**
@@ -178,12 +319,20 @@ export class CollectorView {
     const isPoorAccuracy = dataPoint.hasLocation() && dataPoint.accuracy > this.maxAccuracy;
     const accuracyStyle = isPoorAccuracy ? 'color: #f44336; font-weight: 600' : '';
     const accuracyText = dataPoint.accuracy === null ? 'no GPS' : `±${Math.round(dataPoint.accuracy)}m`;
+    const uploadText = dataPoint.uploadMbps === null ? '' : ` &middot; ↑ ${formatSpeed(dataPoint.uploadMbps)}`;
+    const partialText = dataPoint.partial ? ' (partial)' : '';
+    const sustainedText = dataPoint.sustained === null ? '' : ` &middot; ${formatSustained(dataPoint.sustained)}`;
+    const failureText = dataPoint.failure === null ? '' : ` &middot; ${escapeHtml(formatFailure(dataPoint.failure))}`;
+    const testUrlLine = dataPoint.testUrl === null ? '' : `<div class="point-url">Tested: ${escapeHtml(dataPoint.testUrl)}</div>`;
     const li = document.createElement('li');
     li.innerHTML = `
-      <span class="point-number" style="background-color: ${dataPoint.getColor()}">${badgeSpeed}</span>
+      <span class="point-number" style="background-color: ${dataPoint.getColor(this.profile)}">${badgeSpeed}</span>
       <div class="point-details">
         <div class="point-time">${formatTime(dataPoint.timestamp)}</div>
-        <div class="point-info">${formatSpeed(dataPoint.speedMbps, dataPoint.connectionType)} &middot; ${formatPosition(dataPoint.latitude, dataPoint.longitude)} &middot; <span style="${accuracyStyle}">${accuracyText}</span></div>
+        <div class="point-info">${formatSpeed(dataPoint.speedMbps, dataPoint.connectionType, dataPoint.testMode)}${partialText}${failureText}${sustainedText}${uploadText} &middot; ${formatPosition(dataPoint.latitude, dataPoint.longitude)} &middot; <span style="${accuracyStyle}">${accuracyText}</span></div>
+        ${testUrlLine}
+        ${this.renderSustainedChart(dataPoint.sustained)}
+        ${this.renderTimingPanel(dataPoint.timing)}
       </div>
     `;
 
@@ -191,6 +340,54 @@ export class CollectorView {
     this.elements.dataPointsList.insertBefore(li, this.elements.dataPointsList.firstChild);
   }
 
+  /**
+   * Renders the collapsible connection-phase breakdown for a point: one bar
+   * segment per phase, sized by its share of the total request time.
+   * @param {Object|null} timing - Resource Timing phases from the speed test
+   * @returns {string} HTML, empty when the phases weren't recorded
+   */
+  renderTimingPanel(timing) {
+    if (!timing) {
+      return '';
+    }
+
+    const phases = Object.entries(TIMING_PHASE_LABELS);
+    const total = phases.reduce((sum, [phase]) => sum + timing[phase], 0) || 1;
+    const segments = phases
+      .map(([phase]) => `<span class="timing-${phase}" style="width: ${(timing[phase] / total) * 100}%"></span>`)
+      .join('');
+    const rows = phases
+      .map(([phase, label]) => `<li><span class="timing-swatch timing-${phase}"></span>${label}<span class="timing-value">${Math.round(timing[phase])} ms</span></li>`)
+      .join('');
+
+    return `
+      <details class="point-timing">
+        <summary>Timing</summary>
+        <div class="timing-bar">${segments}</div>
+        <ul class="timing-phases">${rows}</ul>
+      </details>
+    `;
+  }
+
+  /**
+   * Renders the per-second throughput of a sustained measurement as a small
+   * bar chart, scaled to the peak second.
+   * @param {Object|null} sustained - Sustained-mode figures from the speed test
+   * @returns {string} HTML, empty for other test modes
+   */
+  renderSustainedChart(sustained) {
+    if (!sustained || sustained.samples.length === 0) {
+      return '';
+    }
+
+    const peak = sustained.peakMbps || 1;
+    const bars = sustained.samples
+      .map((mbps, second) => `<span style="height: ${(mbps / peak) * 100}%" title="${second + 1}s: ${formatSpeed(mbps)}"></span>`)
+      .join('');
+
+    return `<div class="sustained-chart">${bars}</div>`;
+  }
+
   /**
    * Requests a wake lock to prevent screen from sleeping.
    */
@@ -223,6 +420,11 @@ export class CollectorView {
     this.hideError();
 
     try {
+      // A replayed track starts over with each recording, as a real watch
+      // does on restart, and so does a simulated network script
+      this.geolocationService.reset?.();
+      this.speedTestService.reset?.();
+
       // Request location access unless the user opted into speed-only mode.
       // Either way, don't block recording if location fails — speed
       // measurements are still useful without GPS coordinates
@@ -248,37 +450,29 @@ export class CollectorView {
       this.isRecording = true;
       this.clearList();
       this.updateUI();
+      await this.loadDataUsage();
 
       if (this.speedOnlyMode) {
         this.elements.position.textContent = formatPosition(null, null);
       } else {
-        // Start watching position continuously (better for movement tracking)
-        this.watchId = this.geolocationService.watchPosition(
-          (position) => {
-            // Location can start working mid-journey (e.g. user enables it)
-            if (!this.latestPosition) {
-              this.hideError();
-            }
-            this.latestPosition = position;
-            // Update position display in real-time
-            this.elements.position.textContent = formatPosition(position.latitude, position.longitude);
-          },
-          (error) => {
-            console.error('Position watch error:', error);
-          }
-        );
+        this.startWatchingPosition();
+        this.geolocationService.watchPermission?.((state) => this.handlePermissionChange(state));
 
         // Wait briefly for first position
         await new Promise(resolve => setTimeout(resolve, 500));
       }
 
+      // Watch for short drops between measurements
+      this.heartbeatService?.start((state, timestamp) => this.recordConnectivityEvent(state, timestamp));
+      this.networkEventService?.start((event) => this.recordNetworkEvent(event));
+
       // Take first measurement immediately
       await this.recordDataPoint();
 
       // Start interval for subsequent measurements
       this.timer.start(() => {
         this.recordDataPoint();
-      }, this.recordingInterval);
+      }, this.getMeasurementInterval());
 
     } catch (error) {
       this.showError(error.message);
@@ -287,6 +481,79 @@ export class CollectorView {
     }
   }
 
+  /**
+   * Starts watching position continuously (better for movement tracking
+   * than a fix per measurement), from a fresh smoothing filter.
+   */
+  startWatchingPosition() {
+    this.positionFilter.reset();
+    this.watchId = this.geolocationService.watchPosition(
+      (fix) => {
+        const position = this.positionFilter.update(fix);
+        if (!position) {
+          return;
+        }
+        // Location can start working mid-journey (e.g. user enables it)
+        if (!this.latestPosition) {
+          this.hideError();
+        }
+        this.latestPosition = position;
+        // Update position display in real-time
+        this.elements.position.textContent = formatPosition(position.latitude, position.longitude);
+        this.elements.groundSpeed.textContent = formatGroundSpeed(position.speed);
+      },
+      (error) => {
+        console.error('Position watch error:', error);
+      }
+    );
+  }
+
+  /**
+   * Stops the position watch and forgets the last fix.
+   */
+  stopWatchingPosition() {
+    if (this.watchId !== null) {
+      this.geolocationService.clearWatch(this.watchId);
+      this.watchId = null;
+    }
+    this.latestPosition = null;
+  }
+
+  /**
+   * Follows the location permission during a recording. When it is revoked
+   * the recording goes on without coordinates; when it is granted again the
+   * position watch restarts, since the browser ends a watch on denial.
+   * Each change is recorded on the journey.
+   * @param {'granted'|'denied'|'prompt'} state
+   */
+  async handlePermissionChange(state) {
+    if (!this.isRecording || !this.currentJourney) {
+      return;
+    }
+
+    // Where it happened: the last fix before location went away
+    this.currentJourney.addPermissionEvent(state, Date.now(), this.latestPosition);
+
+    this.stopWatchingPosition();
+    this.elements.groundSpeed.textContent = '--';
+    if (state === 'granted') {
+      this.locationRevoked = false;
+      this.hideError();
+      this.startWatchingPosition();
+    } else {
+      this.locationRevoked = true;
+      this.elements.position.textContent = formatPosition(null, null);
+      this.showError('Location access was turned off — measuring speed without GPS coordinates until it is allowed again.');
+    }
+    this.updateUI();
+
+    try {
+      await this.storageService.saveJourney(this.currentJourney);
+    } catch (error) {
+      console.error('Failed to save permission event:', error);
+    }
+  }
+
   /**
    * Stops the current recording.
    */
@@ -299,15 +566,15 @@ export class CollectorView {
       return;
     }
 
-    // Stop interval
+    // Stop interval, heartbeat and network events
     this.timer.stop();
+    this.heartbeatService?.stop();
+    this.networkEventService?.stop();
 
-    // Stop watching position
-    if (this.watchId !== null) {
-      this.geolocationService.clearWatch(this.watchId);
-      this.watchId = null;
-    }
-    this.latestPosition = null;
+    // Stop watching position and its permission
+    this.stopWatchingPosition();
+    this.geolocationService.unwatchPermission?.();
+    this.locationRevoked = false;
 
     // Release wake lock
     await this.releaseWakeLock();
@@ -326,50 +593,84 @@ export class CollectorView {
     this.currentJourney = null;
     this.elements.journeyName.value = '';
     this.elements.position.textContent = '--';
+    this.elements.groundSpeed.textContent = '--';
     this.elements.speed.textContent = '-- Mbps';
     this.elements.speed.style.color = '';
+    this.elements.distance.textContent = '--';
     this.resetPageTitle();
     this.renderEmptyList();
     this.updateUI();
+    this.updateDataUsage();
   }
 
   /**
-   * Records a single data point (position + speed).
+   * Records a single data point (position + speed). Skipped while the
+   * previous measurement is still running, e.g. a sustained test that
+   * outlasts the recording interval.
    */
   async recordDataPoint() {
-    if (!this.isRecording || !this.currentJourney) {
+    if (!this.isRecording || !this.currentJourney || this.isMeasuring) {
       return;
     }
 
+    this.isMeasuring = true;
     try {
       // Use latest position from watcher, or get current if not available.
       // Record without coordinates in speed-only mode or when location is
       // disabled or unavailable.
       let position = this.latestPosition;
-      if (!position && !this.speedOnlyMode) {
+      if (!position && !this.speedOnlyMode && !this.locationRevoked) {
         try {
-          position = await this.geolocationService.getCurrentPosition();
+          position = this.positionFilter.update(await this.geolocationService.getCurrentPosition());
         } catch (geoError) {
           console.warn('Recording data point without location:', geoError.message);
           position = null;
         }
       }
 
-      // Measure speed
-      const speedResult = await this.speedTestService.measureSpeed();
+      // Hold the heartbeat so its pings don't compete with the test
+      this.heartbeatService?.setPaused(true);
+      let speedResult;
+      try {
+        speedResult = await this.measure();
+      } finally {
+        this.heartbeatService?.setPaused(false);
+      }
 
       const dataPoint = new DataPoint({
         timestamp: Date.now(),
         latitude: position?.latitude ?? null,
         longitude: position?.longitude ?? null,
         accuracy: position?.accuracy ?? null,
+        altitude: position?.altitude ?? null,
+        altitudeAccuracy: position?.altitudeAccuracy ?? null,
+        heading: position?.heading ?? null,
+        groundSpeed: position?.speed ?? null,
+        rawPosition: position?.raw ?? null,
+        smoothedAccuracy: position?.smoothedAccuracy ?? null,
         speedMbps: speedResult.speedMbps,
+        uploadMbps: speedResult.uploadMbps ?? null,
+        latencyMs: speedResult.latencyMs ?? null,
+        jitterMs: speedResult.jitterMs ?? null,
+        packetLoss: speedResult.packetLoss ?? null,
+        bytesTransferred: speedResult.bytesTransferred ?? null,
+        testDurationMs: speedResult.testDurationMs ?? null,
+        partial: speedResult.partial ?? false,
+        networkInfo: speedResult.networkInfo ?? null,
+        timing: speedResult.timing ?? null,
+        testMode: speedResult.testMode ?? 'full',
+        endpoints: speedResult.endpoints ?? null,
+        sustained: speedResult.sustained ?? null,
+        testUrl: speedResult.testUrl ?? null,
+        failure: speedResult.failure ?? null,
         connectionType: speedResult.connectionType
       });
 
       this.currentJourney.addDataPoint(dataPoint);
       this.updateDisplay(dataPoint);
 
+      await this.addDataUsage(dataPoint.bytesTransferred ?? 0, dataPoint.timestamp);
+
       // Auto-save after each point
       await this.storageService.saveJourney(this.currentJourney);
 
@@ -386,7 +687,84 @@ export class CollectorView {
       this.elements.position.textContent = 'Error';
       this.elements.speed.textContent = 'Error';
       this.elements.speed.style.color = '';
+    } finally {
+      this.isMeasuring = false;
+    }
+  }
+
+  /**
+   * Adds a measurement's bytes, and the heartbeat's since the last one, to
+   * the month's usage. A failed write is logged rather than failing the
+   * measurement, so the point is still saved and shown.
+   * @param {number} bytes
+   * @param {number} timestamp
+   * @returns {Promise<void>}
+   */
+  async addDataUsage(bytes, timestamp) {
+    const total = bytes + (this.heartbeatService?.takeBytesUsed() ?? 0);
+    if (total > 0) {
+      try {
+        this.monthlyUsage = await this.storageService.addDataUsage(total, timestamp);
+        this.updateBudgetMode();
+      } catch (error) {
+        console.error('Failed to update data usage:', error);
+      }
     }
+    this.updateDataUsage();
+  }
+
+  /**
+   * Records a connectivity transition from the heartbeat at the latest
+   * known position and saves the journey.
+   * @param {'up'|'down'} state
+   * @param {number} timestamp
+   */
+  async recordConnectivityEvent(state, timestamp) {
+    if (!this.isRecording || !this.currentJourney) {
+      return;
+    }
+
+    this.currentJourney.addConnectivityEvent(state, timestamp, this.latestPosition);
+
+    try {
+      await this.storageService.saveJourney(this.currentJourney);
+    } catch (error) {
+      console.error('Failed to save connectivity event:', error);
+    }
+  }
+
+  /**
+   * Records a browser network event at the latest known position and saves
+   * the journey.
+   * @param {Object} event - From NetworkEventService
+   */
+  async recordNetworkEvent(event) {
+    if (!this.isRecording || !this.currentJourney) {
+      return;
+    }
+
+    this.currentJourney.addNetworkEvent(event, this.latestPosition);
+
+    try {
+      await this.storageService.saveJourney(this.currentJourney);
+    } catch (error) {
+      console.error('Failed to save network event:', error);
+    }
+  }
+
+  /**
+   * Runs the measurement for the current mode: latency only once the data
+   * cap is nearly reached, otherwise the standard or sustained speed test.
+   * @returns {Promise<SpeedTestResult>}
+   */
+  measure() {
+    if (this.budgetMode === 'latency-only') {
+      return this.speedTestService.measureLatencyOnly();
+    }
+    if (this.measurementMode === 'sustained') {
+      return this.speedTestService.measureSustained();
+    }
+    return this.speedTestService.measureSpeed();
   }
 
   /**
@@ -394,10 +772,10 @@ export class CollectorView {
    */
   destroy() {
     this.timer.stop();
-    if (this.watchId !== null) {
-      this.geolocationService.clearWatch(this.watchId);
-      this.watchId = null;
-    }
+    this.heartbeatService?.stop();
+    this.networkEventService?.stop();
+    this.stopWatchingPosition();
+    this.geolocationService.unwatchPermission?.();
     this.resetPageTitle();
     this.releaseWakeLock();
   }
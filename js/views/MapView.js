@@ -1,4 +1,7 @@
-import { formatSpeed, formatTime, formatConnectionType } from '../utils/formatters.js';
+import { formatSpeed, formatTime, formatDuration, formatConnectionType, formatLatency, formatBytes, formatNetworkInfo, formatTimingPhases, formatEndpoints, formatSustained, formatNetworkEvent, formatReadiness, formatFailure, formatGroundSpeed, formatRouteKm, escapeHtml, NETWORK_EVENT_ICONS } from '../utils/formatters.js';
+import { getProfile, getLegendLabels } from '../utils/classification.js';
+import { getReadiness, getReadinessScores, READINESS_COLORS } from '../utils/readiness.js';
+import { haversineDistance } from '../utils/geo.js';
 
 /**
  * View for displaying journey data on a map.
@@ -9,14 +12,26 @@ export class MapView {
    * @param {StorageService} services.storageService
    * @param {Object} options
    * @param {number} [options.maxAccuracy=100] - Max accuracy in meters for displayed points
+   * @param {Array<Object>} [options.qualityProfiles] - Profiles to pick from (see Config.qualityProfiles)
+   * @param {Array<Object>} [options.useCases] - Use cases for readiness (see Config.useCases)
+   * @param {Object} [options.stopDetection] - Stop detection settings (see Config.stopDetection)
    */
   constructor({ storageService }, options = {}) {
     this.storageService = storageService;
     this.maxAccuracy = options.maxAccuracy ?? 100;
+    this.qualityProfiles = options.qualityProfiles;
+    this.useCases = options.useCases ?? [];
+    this.stopDetection = options.stopDetection ?? { maxSpeed: 1.5, radius: 50, minDuration: 30000 };
+    this.onProfileChanged = null;
 
     this.map = null;
     this.markersLayer = null;
     this.polylineLayer = null;
+    this.outagesLayer = null;
+    this.networkEventsLayer = null;
+    this.stopsLayer = null;
+    // Stop/moving segments of the shown journey (see Journey.getSegments)
+    this.segments = [];
     this.currentJourney = null;
     this.userHasZoomed = false;
     this.showLowAccuracy = false;
@@ -28,9 +43,25 @@ export class MapView {
       exportBtn: document.getElementById('export-btn'),
       deleteBtn: document.getElementById('delete-btn'),
       importFile: document.getElementById('import-file'),
-      accuracyToggle: document.getElementById('show-low-accuracy')
+      accuracyToggle: document.getElementById('show-low-accuracy'),
+      qualityProfile: document.getElementById('quality-profile'),
+      routeMode: document.getElementById('route-mode'),
+      routeLegend: document.getElementById('legend-route'),
+      legendGood: document.getElementById('legend-good'),
+      legendModerate: document.getElementById('legend-moderate'),
+      legendPoor: document.getElementById('legend-poor'),
+      segmentBreakdown: document.getElementById('segment-breakdown'),
+      segmentRows: document.getElementById('segment-rows')
     };
 
+    // Quality profile that marker colours and the legend follow
+    this.profile = getProfile(localStorage.getItem('qualityProfile'), this.qualityProfiles);
+    this.renderProfileOptions();
+    // Use case the route is coloured by, null for a plain route
+    this.routeUseCase = this.useCases.find(useCase => useCase.id === localStorage.getItem('routeMode')) ?? null;
+    this.renderRouteModeOptions();
+    this.updateLegend();
+
     this.bindEvents();
   }
 
@@ -50,6 +81,13 @@ export class MapView {
       this.deleteCurrentJourney();
     });
 
+    this.elements.segmentRows.addEventListener('click', (e) => {
+      const row = e.target.closest('tr');
+      if (row) {
+        this.zoomToSegment(this.segments[Number(row.dataset.index)]);
+      }
+    });
+
     this.elements.importFile.addEventListener('change', (e) => {
       if (e.target.files.length > 0) {
         this.importJourney(e.target.files[0]);
@@ -63,6 +101,84 @@ export class MapView {
         this.renderJourney(this.currentJourney);
       }
     });
+
+    this.elements.qualityProfile.addEventListener('change', (e) => {
+      this.setProfile(e.target.value);
+    });
+
+    this.elements.routeMode.addEventListener('change', (e) => {
+      this.setRouteMode(e.target.value);
+    });
+  }
+
+  /**
+   * Fills the route colouring dropdown: a plain route, or one per use case.
+   */
+  renderRouteModeOptions() {
+    const select = this.elements.routeMode;
+    select.innerHTML = '<option value="">Plain route</option>';
+    this.useCases.forEach(useCase => {
+      const option = document.createElement('option');
+      option.value = useCase.id;
+      option.textContent = `${useCase.name} readiness`;
+      select.appendChild(option);
+    });
+    select.value = this.routeUseCase?.id ?? '';
+  }
+
+  /**
+   * Colours the route by readiness for a use case, or plain for ''.
+   * @param {string} id - Use case id
+   */
+  setRouteMode(id) {
+    this.routeUseCase = this.useCases.find(useCase => useCase.id === id) ?? null;
+    localStorage.setItem('routeMode', this.routeUseCase?.id ?? '');
+    this.updateLegend();
+    if (this.currentJourney) {
+      this.renderJourney(this.currentJourney);
+    }
+  }
+
+  /**
+   * Fills the quality profile dropdown.
+   */
+  renderProfileOptions() {
+    const select = this.elements.qualityProfile;
+    select.innerHTML = '';
+    (this.qualityProfiles ?? [this.profile]).forEach(profile => {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = profile.name;
+      select.appendChild(option);
+    });
+    select.value = this.profile.id;
+  }
+
+  /**
+   * Switches the quality profile, remembers the choice and recolours the map.
+   * @param {string} id - Profile id
+   */
+  setProfile(id) {
+    this.profile = getProfile(id, this.qualityProfiles);
+    localStorage.setItem('qualityProfile', this.profile.id);
+    this.updateLegend();
+    if (this.currentJourney) {
+      this.renderJourney(this.currentJourney);
+    }
+    if (this.onProfileChanged) {
+      this.onProfileChanged(this.profile);
+    }
+  }
+
+  /**
+   * Shows the active profile's limits in the legend.
+   */
+  updateLegend() {
+    const labels = getLegendLabels(this.profile);
+    this.elements.legendGood.textContent = labels.good;
+    this.elements.legendModerate.textContent = labels.moderate;
+    this.elements.legendPoor.textContent = labels.poor;
+    this.elements.routeLegend.hidden = this.routeUseCase === null;
   }
 
   /**
@@ -92,9 +208,13 @@ export class MapView {
       this.userHasZoomed = true;
     });
 
-    // Create layer groups for markers and polylines
-    this.markersLayer = L.layerGroup().addTo(this.map);
+    // Create layer groups for markers and polylines; outages sit between
+    // the route line and the markers
     this.polylineLayer = L.layerGroup().addTo(this.map);
+    this.outagesLayer = L.layerGroup().addTo(this.map);
+    this.markersLayer = L.layerGroup().addTo(this.map);
+    this.networkEventsLayer = L.layerGroup().addTo(this.map);
+    this.stopsLayer = L.layerGroup().addTo(this.map);
   }
 
   /**
@@ -183,12 +303,14 @@ export class MapView {
    */
   renderJourney(journey, fitBounds = false) {
     this.clearMap();
+    this.renderOutages(journey);
+    this.renderNetworkEvents(journey);
+    this.renderSegments(journey);
 
-    // Only points with coordinates can be mapped; then filter on accuracy toggle
-    const locatedPoints = journey.dataPoints.filter(dp => dp.hasLocation());
-    const points = this.showLowAccuracy
-      ? locatedPoints
-      : locatedPoints.filter(dp => dp.accuracy <= this.maxAccuracy);
+    const allPoints = journey.getInterpolatedPoints();
+    const distances = journey.getRouteDistances();
+    const routeDistances = new Map(allPoints.map((dp, i) => [dp, distances[i]]));
+    const points = this.getMappablePoints(allPoints);
 
     if (points.length === 0) {
       return;
@@ -200,45 +322,277 @@ export class MapView {
       const latlng = [dp.latitude, dp.longitude];
       latlngs.push(latlng);
 
-      const isPoorAccuracy = dp.accuracy > this.maxAccuracy;
-
-      // Create colored circle marker (smaller and more transparent for poor accuracy)
-      const marker = L.circleMarker(latlng, {
-        radius: isPoorAccuracy ? 6 : 8,
-        fillColor: dp.getColor(),
-        color: isPoorAccuracy ? '#999' : dp.getColor(),
-        weight: isPoorAccuracy ? 1 : 0,
-        fillOpacity: isPoorAccuracy ? 0.5 : 0.9
-      });
+      const marker = L.circleMarker(latlng, this.getMarkerOptions(dp));
 
       // Add popup with details
-      const popupContent = `
-        <strong>Point ${index + 1}</strong><br>
-        Time: ${formatTime(dp.timestamp)}<br>
-        Speed: ${formatSpeed(dp.speedMbps, dp.connectionType)}<br>
-        Connection: ${formatConnectionType(dp.connectionType)}<br>
-        Accuracy: ${Math.round(dp.accuracy)}m${isPoorAccuracy ? ' (low)' : ''}
-      `;
-      marker.bindPopup(popupContent);
+      marker.bindPopup(this.buildPopupContent(dp, index, routeDistances.get(dp)));
 
       this.markersLayer.addLayer(marker);
     });
 
-    // Draw polyline connecting points
-    if (latlngs.length > 1) {
-      const polyline = L.polyline(latlngs, {
+    this.renderRoute(points);
+
+    // Fit map to show all points
+    if (fitBounds && latlngs.length > 0) {
+      const bounds = L.latLngBounds(latlngs);
+      this.map.fitBounds(bounds, { padding: [50, 50] });
+    }
+  }
+
+  /**
+   * Returns the points to plot: located points filtered on the accuracy
+   * toggle, plus the points recorded without a fix placed along the route
+   * between their neighbours.
+   * @param {DataPoint[]} points - From Journey.getInterpolatedPoints
+   * @returns {DataPoint[]}
+   */
+  getMappablePoints(points) {
+    return points.filter(dp =>
+      dp.hasLocation() && (dp.interpolated || this.showLowAccuracy || dp.accuracy <= this.maxAccuracy)
+    );
+  }
+
+  /**
+   * Draws the line connecting the shown points. With a route use case picked,
+   * each leg takes the readiness colour of the point it starts from.
+   * @param {DataPoint[]} points - Located points, in order
+   */
+  renderRoute(points) {
+    this.polylineLayer.clearLayers();
+    if (points.length < 2) {
+      return;
+    }
+
+    if (this.routeUseCase === null) {
+      this.polylineLayer.addLayer(L.polyline(points.map(p => [p.latitude, p.longitude]), {
         color: '#2196F3',
         weight: 3,
         opacity: 0.6
+      }));
+      return;
+    }
+
+    points.slice(0, -1).forEach((dp, i) => {
+      const next = points[i + 1];
+      const readiness = getReadiness(dp, this.routeUseCase) ?? 'unknown';
+      this.polylineLayer.addLayer(L.polyline([[dp.latitude, dp.longitude], [next.latitude, next.longitude]], {
+        color: READINESS_COLORS[readiness],
+        weight: 5,
+        opacity: 0.8
+      }));
+    });
+  }
+
+  /**
+   * Draws the heartbeat's outages as dashed red segments. Each runs from the
+   * position where the link went down, through any located points measured
+   * during the outage, to where it came back — so drops shorter than the
+   * recording interval still show up.
+   * @param {Journey} journey
+   */
+  renderOutages(journey) {
+    this.outagesLayer.clearLayers();
+
+    const locatedPoints = journey.dataPoints.filter(dp => dp.hasLocation());
+    journey.getOutages().forEach(outage => {
+      const end = outage.end ?? Infinity;
+      const latlngs = [
+        outage.startEvent,
+        ...locatedPoints.filter(dp => dp.timestamp >= outage.start && dp.timestamp <= end),
+        outage.endEvent
+      ]
+        .filter(position => position && position.latitude !== null)
+        .map(position => [position.latitude, position.longitude]);
+
+      if (latlngs.length === 0) {
+        return;
+      }
+
+      const duration = outage.end === null ? 'ongoing' : formatDuration(outage.end - outage.start);
+      const layer = latlngs.length > 1
+        ? L.polyline(latlngs, { color: '#f44336', weight: 6, opacity: 0.8, dashArray: '8 6' })
+        : L.circleMarker(latlngs[0], { radius: 10, color: '#f44336', weight: 3, dashArray: '4 4', fill: false });
+      layer.bindPopup(`<strong>Connection lost</strong><br>From: ${formatTime(outage.start)}<br>Duration: ${duration}`);
+      this.outagesLayer.addLayer(layer);
+    });
+  }
+
+  /**
+   * Marks browser online/offline and connection change events with icons.
+   * Events recorded without a position fix can't be placed.
+   * @param {Journey} journey
+   */
+  renderNetworkEvents(journey) {
+    this.networkEventsLayer.clearLayers();
+
+    journey.networkEvents
+      .filter(event => event.latitude !== null)
+      .forEach(event => {
+        const icon = L.divIcon({
+          className: 'network-event-icon',
+          html: NETWORK_EVENT_ICONS[event.type],
+          iconSize: [20, 20]
+        });
+        const marker = L.marker([event.latitude, event.longitude], { icon });
+        marker.bindPopup(`<strong>${formatNetworkEvent(event)}</strong><br>Time: ${formatTime(event.timestamp)}`);
+        this.networkEventsLayer.addLayer(marker);
       });
-      this.polylineLayer.addLayer(polyline);
+  }
+
+  /**
+   * Marks the journey's stops on the map and lists its stop and moving
+   * segments below it, each row zooming the map to that segment.
+   * @param {Journey} journey
+   */
+  renderSegments(journey) {
+    this.stopsLayer.clearLayers();
+    this.segments = journey.getSegments(this.stopDetection, this.profile, this.useCases);
+
+    const stops = this.segments.filter(segment => segment.type === 'stop');
+    stops.forEach((stop, i) => {
+      const icon = L.divIcon({ className: 'stop-icon', html: '🚉', iconSize: [22, 22] });
+      const marker = L.marker([stop.latitude, stop.longitude], { icon });
+      marker.bindPopup(`<strong>Stop ${i + 1}</strong><br>${this.describeSegment(stop)}`);
+      this.stopsLayer.addLayer(marker);
+    });
+
+    this.elements.segmentBreakdown.hidden = stops.length === 0;
+    let stopNumber = 0;
+    this.elements.segmentRows.innerHTML = this.segments.map((segment, index) => {
+      const name = segment.type === 'stop' ? `🚉 Stop ${++stopNumber}` : 'Moving';
+      const route = segment.distanceFrom === null
+        ? '--'
+        : `${formatRouteKm(segment.distanceFrom)}–${(segment.distanceTo / 1000).toFixed(1)}`;
+      return `<tr class="${segment.type}" data-index="${index}">
+        <td>${name}</td>
+        <td>${formatTime(segment.start)} (${formatDuration(segment.end - segment.start)})</td>
+        <td>${route}</td>
+        <td>${segment.stats.avgSpeed === null ? '--' : formatSpeed(segment.stats.avgSpeed)}</td>
+        <td>${formatLatency(segment.stats.avgLatency)}</td>
+      </tr>`;
+    }).join('');
+  }
+
+  /**
+   * Summarises a segment's figures for a popup.
+   * @param {Object} segment - From Journey.getSegments
+   * @returns {string} HTML
+   */
+  describeSegment({ start, end, stats }) {
+    const avgSpeed = stats.avgSpeed === null ? '--' : formatSpeed(stats.avgSpeed);
+    return `From: ${formatTime(start)}<br>
+      Duration: ${formatDuration(end - start)}<br>
+      Avg speed: ${avgSpeed}<br>
+      Latency: ${formatLatency(stats.avgLatency)}<br>
+      Points: ${stats.pointCount}`;
+  }
+
+  /**
+   * Fits the map to a segment's located points.
+   * @param {Object} segment - From Journey.getSegments
+   */
+  zoomToSegment(segment) {
+    const latlngs = this.currentJourney.dataPoints
+      .slice(segment.startIndex, segment.endIndex + 1)
+      .filter(dp => dp.hasLocation())
+      .map(dp => [dp.latitude, dp.longitude]);
+    if (latlngs.length === 0) {
+      return;
     }
+    this.userHasZoomed = true;
+    this.map.fitBounds(L.latLngBounds(latlngs), { padding: [50, 50], maxZoom: 17 });
+  }
 
-    // Fit map to show all points
-    if (fitBounds && latlngs.length > 0) {
-      const bounds = L.latLngBounds(latlngs);
-      this.map.fitBounds(bounds, { padding: [50, 50] });
+  /**
+   * Returns the circle marker style for a data point: coloured by quality,
+   * smaller and more transparent for poor accuracy, and with a dark ring
+   * when only some of the comparison endpoints failed (a server problem
+   * rather than the signal). Interpolated points are hollow with a dashed
+   * outline, since their position is only an estimate.
+   * @param {DataPoint} dp
+   * @returns {Object} Leaflet path options
+   */
+  getMarkerOptions(dp) {
+    if (dp.interpolated) {
+      return {
+        radius: 6,
+        fillColor: dp.getColor(this.profile),
+        color: dp.getColor(this.profile),
+        weight: 2,
+        dashArray: '3 3',
+        fillOpacity: 0.25
+      };
     }
+
+    const isPoorAccuracy = dp.accuracy > this.maxAccuracy;
+    const options = {
+      radius: isPoorAccuracy ? 6 : 8,
+      fillColor: dp.getColor(this.profile),
+      color: isPoorAccuracy ? '#999' : dp.getColor(this.profile),
+      weight: isPoorAccuracy ? 1 : 0,
+      fillOpacity: isPoorAccuracy ? 0.5 : 0.9
+    };
+
+    if (dp.getEndpointStatus() === 'some-down') {
+      options.color = '#212121';
+      options.weight = 3;
+    }
+
+    return options;
+  }
+
+  /**
+   * Builds the popup HTML for a data point marker.
+   * @param {DataPoint} dp
+   * @param {number} index - Position of the point in the journey
+   * @param {number|null} [routeDistance] - Meters along the route, if known
+   * @returns {string}
+   */
+  buildPopupContent(dp, index, routeDistance = null) {
+    const isPoorAccuracy = dp.accuracy > this.maxAccuracy;
+    const uploadLine = dp.uploadMbps === null ? '' : `Upload: ${formatSpeed(dp.uploadMbps)}<br>`;
+    const hasLatency = dp.latencyMs !== null || dp.packetLoss !== null;
+    const latencyLine = hasLatency ? `Latency: ${formatLatency(dp.latencyMs, dp.jitterMs, dp.packetLoss)}<br>` : '';
+    const networkLine = dp.networkInfo === null ? '' : `Browser estimate: ${formatNetworkInfo(dp.networkInfo)}<br>`;
+    const timingLine = dp.timing === null ? '' : `Timing: ${formatTimingPhases(dp.timing)}<br>`;
+    const sustainedLine = dp.sustained === null ? '' : `Sustained: ${formatSustained(dp.sustained)}<br>`;
+    const endpointsLine = dp.getEndpointStatus() === null ? '' : `Endpoints: ${escapeHtml(formatEndpoints(dp.endpoints))}<br>`;
+    const readinessLine = this.useCases.length === 0 ? '' : `Ready for: ${formatReadiness(getReadinessScores(dp, this.useCases), this.useCases)}<br>`;
+    const movement = [
+      dp.groundSpeed === null ? null : formatGroundSpeed(dp.groundSpeed),
+      dp.heading === null ? null : `heading ${Math.round(dp.heading)}°`,
+      dp.altitude === null ? null : `altitude ${Math.round(dp.altitude)} m`
+    ].filter(Boolean);
+    const smoothedAccuracy = dp.smoothedAccuracy === null ? '' : `, estimate ±${Math.round(dp.smoothedAccuracy)}m`;
+    const smoothingLine = dp.rawPosition === null ? '' : `Smoothed: raw fix ${Math.round(haversineDistance(dp.latitude, dp.longitude, dp.rawPosition.latitude, dp.rawPosition.longitude))}m away (±${Math.round(dp.rawPosition.accuracy)}m${smoothedAccuracy})<br>`;
+    const movementLine = movement.length === 0 ? '' : `Travel: ${movement.join(', ')}<br>`;
+    const routeLine = routeDistance == null ? '' : `Route: ${formatRouteKm(routeDistance)}<br>`;
+    const failureLine = dp.failure === null ? '' : `Failure: ${escapeHtml(formatFailure(dp.failure))}<br>`;
+    const testUrlLine = dp.testUrl === null ? '' : `Tested: ${escapeHtml(dp.testUrl)}<br>`;
+    const testLine = dp.bytesTransferred === null ? '' : `Test: ${formatBytes(dp.bytesTransferred)} in ${(dp.testDurationMs / 1000).toFixed(1)}s<br>`;
+    const locationLine = dp.interpolated
+      ? '<em>Estimated location: no GPS fix, placed between the neighbouring points</em>'
+      : `Accuracy: ${Math.round(dp.accuracy)}m${isPoorAccuracy ? ' (low)' : ''}`;
+    return `
+      <strong>Point ${index + 1}</strong><br>
+      Time: ${formatTime(dp.timestamp)}<br>
+      Speed: ${formatSpeed(dp.speedMbps, dp.connectionType, dp.testMode)}${dp.partial ? ' (partial transfer)' : ''}<br>
+      ${failureLine}
+      ${sustainedLine}
+      ${uploadLine}
+      ${latencyLine}
+      ${endpointsLine}
+      ${testLine}
+      ${testUrlLine}
+      ${timingLine}
+      ${readinessLine}
+      Connection: ${formatConnectionType(dp.connectionType)}<br>
+      ${networkLine}
+      ${movementLine}
+      ${routeLine}
+      ${smoothingLine}
+      ${locationLine}
+    `;
   }
 
   /**
@@ -264,46 +618,29 @@ export class MapView {
     // Points without coordinates can't be plotted
     const shouldShowPoint = dp.hasLocation() && (this.showLowAccuracy || !isPoorAccuracy);
 
-    // Add marker if it should be shown
-    if (shouldShowPoint) {
+    // A fix after points recorded without one lets those be placed, so
+    // redraw the whole journey; otherwise just add the marker if shown
+    const previous = journey.dataPoints[journey.dataPoints.length - 2];
+    if (dp.hasLocation() && previous && !previous.hasLocation()) {
+      this.renderJourney(journey);
+    } else if (shouldShowPoint) {
       const latlng = [dp.latitude, dp.longitude];
       const index = journey.dataPoints.length - 1;
 
-      // Create marker (smaller and more transparent for poor accuracy)
-      const marker = L.circleMarker(latlng, {
-        radius: isPoorAccuracy ? 6 : 8,
-        fillColor: dp.getColor(),
-        color: isPoorAccuracy ? '#999' : dp.getColor(),
-        weight: isPoorAccuracy ? 1 : 0,
-        fillOpacity: isPoorAccuracy ? 0.5 : 0.9
-      });
+      const marker = L.circleMarker(latlng, this.getMarkerOptions(dp));
 
-      const popupContent = `
-        <strong>Point ${index + 1}</strong><br>
-        Time: ${formatTime(dp.timestamp)}<br>
-        Speed: ${formatSpeed(dp.speedMbps, dp.connectionType)}<br>
-        Connection: ${formatConnectionType(dp.connectionType)}<br>
-        Accuracy: ${Math.round(dp.accuracy)}m${isPoorAccuracy ? ' (low)' : ''}
-      `;
-      marker.bindPopup(popupContent);
+      marker.bindPopup(this.buildPopupContent(dp, index, journey.getRouteDistances()[index]));
       this.markersLayer.addLayer(marker);
     }
 
     // Update polyline using filtered points
-    this.polylineLayer.clearLayers();
-    const locatedPoints = journey.dataPoints.filter(p => p.hasLocation());
-    const filteredPoints = this.showLowAccuracy
-      ? locatedPoints
-      : locatedPoints.filter(p => p.accuracy <= this.maxAccuracy);
-    if (filteredPoints.length > 1) {
-      const latlngs = filteredPoints.map(p => [p.latitude, p.longitude]);
-      const polyline = L.polyline(latlngs, {
-        color: '#2196F3',
-        weight: 3,
-        opacity: 0.6
-      });
-      this.polylineLayer.addLayer(polyline);
-    }
+    const filteredPoints = this.getMappablePoints(journey.getInterpolatedPoints());
+    this.renderRoute(filteredPoints);
+
+    // Outages, network events and segments since the last point
+    this.renderOutages(journey);
+    this.renderNetworkEvents(journey);
+    this.renderSegments(journey);
 
     // Only auto-fit if user hasn't manually zoomed/panned since opening map tab
     if (!this.userHasZoomed && filteredPoints.length > 0) {
@@ -322,6 +659,17 @@ export class MapView {
     if (this.polylineLayer) {
       this.polylineLayer.clearLayers();
     }
+    if (this.outagesLayer) {
+      this.outagesLayer.clearLayers();
+    }
+    if (this.networkEventsLayer) {
+      this.networkEventsLayer.clearLayers();
+    }
+    if (this.stopsLayer) {
+      this.stopsLayer.clearLayers();
+    }
+    this.segments = [];
+    this.elements.segmentBreakdown.hidden = true;
   }
 
   /**
@@ -0,0 +1,45 @@
+/**
+ * Dedicated worker that runs speed-test measurements off the main thread.
+ *
+ * The fetches, stream reads and performance.now() calls all happen here, so
+ * a busy or backgrounded page can't stretch the timings. Loaded as a module
+ * worker by WorkerSpeedTestService.
+ *
+ * Messages in:
+ *   { command: 'init', options }           - Creates the SpeedTestService
+ *   { command: 'run', id, method, args }   - Calls service[method](...args)
+ * Messages out:
+ *   { id, result } or { id, error }
+ */
+import { SpeedTestService } from '../services/SpeedTestService.js';
+
+let service = new SpeedTestService();
+
+/**
+ * Handles one message from the page.
+ * @param {Object} data - The message payload
+ * @param {Function} post - Sends a reply back to the page
+ */
+export async function handleMessage(data, post) {
+  if (data.command === 'init') {
+    service = new SpeedTestService(data.options);
+    return;
+  }
+
+  if (data.command === 'run') {
+    try {
+      const result = await service[data.method](...(data.args ?? []));
+      post({ id: data.id, result });
+    } catch (error) {
+      post({ id: data.id, error: error.message });
+    }
+  }
+}
+
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+  // This worker's timeline only holds the tests' own cache-busted requests,
+  // each read right after it finishes, so a full buffer (250 entries by
+  // default) can simply be emptied. The page's own buffer is left alone
+  performance.addEventListener('resourcetimingbufferfull', () => performance.clearResourceTimings());
+  self.onmessage = (e) => handleMessage(e.data, (reply) => self.postMessage(reply));
+}
@@ -27,11 +27,20 @@ describe('DataPoint', () => {
       expect(dp.speedMbps).toBeNull();
     });
 
+    it('defaults uploadMbps to null for points recorded before upload measurement', () => {
+      const dp = new DataPoint(validData);
+      expect(dp.uploadMbps).toBeNull();
+    });
+
     it('accepts disconnected and no-signal connection types', () => {
       expect(() => new DataPoint({ ...validData, speedMbps: null, connectionType: 'disconnected' })).not.toThrow();
       expect(() => new DataPoint({ ...validData, speedMbps: null, connectionType: 'no-signal' })).not.toThrow();
     });
 
+    it('accepts the captive-portal connection type', () => {
+      expect(() => new DataPoint({ ...validData, speedMbps: null, connectionType: 'captive-portal' })).not.toThrow();
+    });
+
     it('accepts null location when geolocation is unavailable', () => {
       const dp = new DataPoint({ ...validData, latitude: null, longitude: null, accuracy: null });
       expect(dp.latitude).toBeNull();
@@ -81,20 +90,192 @@ describe('DataPoint', () => {
       expect(() => new DataPoint({ ...validData, speedMbps: 'fast' })).toThrow('Invalid speedMbps');
     });
 
+    it('throws on invalid uploadMbps', () => {
+      expect(() => new DataPoint({ ...validData, uploadMbps: -1 })).toThrow('Invalid uploadMbps');
+      expect(() => new DataPoint({ ...validData, uploadMbps: 'fast' })).toThrow('Invalid uploadMbps');
+    });
+
+    it('throws on invalid latency figures', () => {
+      expect(() => new DataPoint({ ...validData, latencyMs: -1 })).toThrow('Invalid latencyMs');
+      expect(() => new DataPoint({ ...validData, jitterMs: 'high' })).toThrow('Invalid jitterMs');
+      expect(() => new DataPoint({ ...validData, packetLoss: 1.5 })).toThrow('Invalid packetLoss');
+      expect(() => new DataPoint({ ...validData, packetLoss: -0.1 })).toThrow('Invalid packetLoss');
+    });
+
+    it('throws on invalid transfer figures', () => {
+      expect(() => new DataPoint({ ...validData, bytesTransferred: -1 })).toThrow('Invalid bytesTransferred');
+      expect(() => new DataPoint({ ...validData, testDurationMs: 'slow' })).toThrow('Invalid testDurationMs');
+    });
+
+    it('throws on non-boolean partial', () => {
+      expect(() => new DataPoint({ ...validData, partial: 'yes' })).toThrow('Invalid partial');
+    });
+
+    it('accepts network info with unreported fields', () => {
+      const networkInfo = { effectiveType: '4g', downlink: null, rtt: null, saveData: null };
+      expect(new DataPoint({ ...validData, networkInfo }).networkInfo).toEqual(networkInfo);
+    });
+
+    it('throws on invalid network info', () => {
+      const networkInfo = { effectiveType: '4g', downlink: 10, rtt: 50, saveData: false };
+      expect(() => new DataPoint({ ...validData, networkInfo: 'fast' })).toThrow('Invalid networkInfo');
+      expect(() => new DataPoint({ ...validData, networkInfo: { ...networkInfo, effectiveType: '5g' } })).toThrow('Invalid networkInfo.effectiveType');
+      expect(() => new DataPoint({ ...validData, networkInfo: { ...networkInfo, downlink: -1 } })).toThrow('Invalid networkInfo.downlink');
+      expect(() => new DataPoint({ ...validData, networkInfo: { ...networkInfo, rtt: '50' } })).toThrow('Invalid networkInfo.rtt');
+      expect(() => new DataPoint({ ...validData, networkInfo: { ...networkInfo, saveData: 'no' } })).toThrow('Invalid networkInfo.saveData');
+    });
+
+    it('throws on invalid timing phases', () => {
+      const timing = { dnsMs: 12, connectMs: 30, tlsMs: 40, ttfbMs: 120, transferMs: 900 };
+      expect(() => new DataPoint({ ...validData, timing })).not.toThrow();
+      expect(() => new DataPoint({ ...validData, timing: 'slow' })).toThrow('Invalid timing');
+      expect(() => new DataPoint({ ...validData, timing: { ...timing, ttfbMs: -1 } })).toThrow('Invalid timing.ttfbMs');
+      expect(() => new DataPoint({ ...validData, timing: { ...timing, dnsMs: undefined } })).toThrow('Invalid timing.dnsMs');
+    });
+
+    it('throws on invalid testMode', () => {
+      expect(new DataPoint(validData).testMode).toBe('full');
+      expect(() => new DataPoint({ ...validData, testMode: 'quick' })).toThrow('Invalid testMode');
+    });
+
+    it('throws on invalid endpoint results', () => {
+      const endpoint = { name: 'CDN', speedMbps: 4, partial: false };
+      expect(() => new DataPoint({ ...validData, endpoints: [endpoint, { ...endpoint, speedMbps: null }] })).not.toThrow();
+      expect(() => new DataPoint({ ...validData, endpoints: 'CDN' })).toThrow('Invalid endpoints');
+      expect(() => new DataPoint({ ...validData, endpoints: [{ ...endpoint, name: '' }] })).toThrow('Invalid endpoints[0].name');
+      expect(() => new DataPoint({ ...validData, endpoints: [endpoint, { ...endpoint, speedMbps: -1 }] })).toThrow('Invalid endpoints[1].speedMbps');
+      expect(() => new DataPoint({ ...validData, endpoints: [{ name: 'CDN', speedMbps: 4 }] })).toThrow('Invalid endpoints[0].partial');
+    });
+
+    it('throws on invalid sustained figures', () => {
+      const sustained = { streams: 4, peakMbps: 24, meanMbps: 18.5, samples: [12, 20, 24, 18] };
+      expect(() => new DataPoint({ ...validData, testMode: 'sustained', sustained })).not.toThrow();
+      expect(() => new DataPoint({ ...validData, sustained: 'fast' })).toThrow('Invalid sustained');
+      expect(() => new DataPoint({ ...validData, sustained: { ...sustained, streams: 0 } })).toThrow('Invalid sustained.streams');
+      expect(() => new DataPoint({ ...validData, sustained: { ...sustained, peakMbps: -1 } })).toThrow('Invalid sustained.peakMbps');
+      expect(() => new DataPoint({ ...validData, sustained: { ...sustained, meanMbps: null } })).toThrow('Invalid sustained.meanMbps');
+      expect(() => new DataPoint({ ...validData, sustained: { ...sustained, samples: [1, '2'] } })).toThrow('Invalid sustained.samples');
+    });
+
     it('throws on invalid connectionType', () => {
       expect(() => new DataPoint({ ...validData, connectionType: '5G' })).toThrow('Invalid connectionType');
     });
   });
 
+  describe('GPS motion fields', () => {
+    const motion = { altitude: -3.5, altitudeAccuracy: 15, heading: 118.5, groundSpeed: 24.2 };
+
+    it('defaults to null for points without them', () => {
+      const dp = new DataPoint(validData);
+      expect(dp.altitude).toBeNull();
+      expect(dp.altitudeAccuracy).toBeNull();
+      expect(dp.heading).toBeNull();
+      expect(dp.groundSpeed).toBeNull();
+    });
+
+    it('round-trips through JSON', () => {
+      const dp = new DataPoint({ ...validData, ...motion });
+      expect(DataPoint.fromJSON(dp.toJSON())).toMatchObject(motion);
+    });
+
+    it('throws on invalid values', () => {
+      expect(() => new DataPoint({ ...validData, altitude: NaN })).toThrow('Invalid altitude');
+      expect(() => new DataPoint({ ...validData, altitudeAccuracy: -1 })).toThrow('Invalid altitudeAccuracy');
+      expect(() => new DataPoint({ ...validData, heading: 361 })).toThrow('Invalid heading');
+      expect(() => new DataPoint({ ...validData, groundSpeed: -0.1 })).toThrow('Invalid groundSpeed');
+    });
+  });
+
+  describe('rawPosition', () => {
+    const rawPosition = { latitude: 37.775, longitude: -122.419, accuracy: 25 };
+
+    it('round-trips the unsmoothed fix', () => {
+      const dp = new DataPoint({ ...validData, rawPosition });
+      expect(dp.rawPosition).toEqual(rawPosition);
+      expect(DataPoint.fromJSON(dp.toJSON()).rawPosition).toEqual(rawPosition);
+      expect(new DataPoint(validData).rawPosition).toBeNull();
+    });
+
+    it('throws on invalid raw fixes', () => {
+      expect(() => new DataPoint({ ...validData, rawPosition: { ...rawPosition, latitude: 91 } })).toThrow('Invalid rawPosition.latitude');
+      expect(() => new DataPoint({ ...validData, rawPosition: { ...rawPosition, accuracy: -1 } })).toThrow('Invalid rawPosition.accuracy');
+      expect(() => new DataPoint({ ...validData, latitude: null, longitude: null, rawPosition })).toThrow('Invalid rawPosition');
+    });
+  });
+
+  describe('smoothedAccuracy', () => {
+    it('round-trips the estimate beside the reported accuracy', () => {
+      const dp = new DataPoint({ ...validData, smoothedAccuracy: 6.4 });
+      expect(DataPoint.fromJSON(dp.toJSON())).toMatchObject({ accuracy: validData.accuracy, smoothedAccuracy: 6.4 });
+      expect(new DataPoint(validData).smoothedAccuracy).toBeNull();
+    });
+
+    it('throws on invalid estimates', () => {
+      expect(() => new DataPoint({ ...validData, smoothedAccuracy: -1 })).toThrow('Invalid smoothedAccuracy');
+      expect(() => new DataPoint({ ...validData, latitude: null, longitude: null, smoothedAccuracy: 5 })).toThrow('Invalid smoothedAccuracy');
+    });
+  });
+
+  describe('interpolated', () => {
+    it('defaults to measured and round-trips the flag', () => {
+      expect(new DataPoint(validData).interpolated).toBe(false);
+      const dp = new DataPoint({ ...validData, accuracy: null, interpolated: true });
+      expect(DataPoint.fromJSON(dp.toJSON()).interpolated).toBe(true);
+    });
+
+    it('throws on an interpolated point without coordinates', () => {
+      expect(() => new DataPoint({ ...validData, latitude: null, longitude: null, accuracy: null, interpolated: true }))
+        .toThrow('Invalid interpolated');
+      expect(() => new DataPoint({ ...validData, interpolated: 'yes' })).toThrow('Invalid interpolated');
+    });
+  });
+
+  describe('failure validation', () => {
+    const failure = { reason: 'timeout', httpStatus: null, bytesReceived: 0, durationMs: 5000 };
+    const failed = { ...validData, speedMbps: null, connectionType: 'no-signal' };
+
+    it('defaults provenance to null for older points', () => {
+      const dp = new DataPoint(validData);
+      expect(dp.testUrl).toBeNull();
+      expect(dp.failure).toBeNull();
+    });
+
+    it('accepts valid failure details', () => {
+      expect(() => new DataPoint({ ...failed, failure })).not.toThrow();
+    });
+
+    it('throws on invalid failure details', () => {
+      expect(() => new DataPoint({ ...failed, failure: { ...failure, reason: 'cosmic-rays' } })).toThrow('Invalid failure.reason');
+      expect(() => new DataPoint({ ...failed, failure: { ...failure, httpStatus: 42 } })).toThrow('Invalid failure.httpStatus');
+      expect(() => new DataPoint({ ...failed, failure: { ...failure, bytesReceived: -1 } })).toThrow('Invalid failure.bytesReceived');
+      expect(() => new DataPoint({ ...failed, failure: { ...failure, durationMs: '5s' } })).toThrow('Invalid failure.durationMs');
+      expect(() => new DataPoint({ ...failed, testUrl: '' })).toThrow('Invalid testUrl');
+    });
+  });
+
   describe('getQuality', () => {
-    it('returns "good" for >= 2 Mbps', () => {
-      expect(new DataPoint({ ...validData, speedMbps: 2 }).getQuality()).toBe('good');
+    it('returns "good" for >= 5 Mbps', () => {
+      expect(new DataPoint({ ...validData, speedMbps: 5 }).getQuality()).toBe('good');
       expect(new DataPoint({ ...validData, speedMbps: 100 }).getQuality()).toBe('good');
     });
 
-    it('returns "moderate" for 1-2 Mbps', () => {
+    it('returns "moderate" for 1-5 Mbps', () => {
       expect(new DataPoint({ ...validData, speedMbps: 1 }).getQuality()).toBe('moderate');
-      expect(new DataPoint({ ...validData, speedMbps: 1.9 }).getQuality()).toBe('moderate');
+      expect(new DataPoint({ ...validData, speedMbps: 4.9 }).getQuality()).toBe('moderate');
+    });
+
+    it('judges by the given profile', () => {
+      const videoCall = {
+        id: 'video-call',
+        name: 'Video call',
+        good: { minDownloadMbps: 3, maxLatencyMs: 150 },
+        moderate: { minDownloadMbps: 1, maxLatencyMs: 300 }
+      };
+      const laggy = new DataPoint({ ...validData, speedMbps: 20, latencyMs: 250 });
+      expect(laggy.getQuality()).toBe('good');
+      expect(laggy.getQuality(videoCall)).toBe('moderate');
+      expect(laggy.getColor(videoCall)).toBe('#FFC107');
+      expect(new DataPoint({ ...validData, speedMbps: null, connectionType: 'offline' }).getQuality(videoCall)).toBe('offline');
     });
 
     it('returns "poor" for < 1 Mbps', () => {
@@ -105,6 +286,13 @@ describe('DataPoint', () => {
     it('returns "offline" for null', () => {
       expect(new DataPoint({ ...validData, speedMbps: null, connectionType: 'offline' }).getQuality()).toBe('offline');
     });
+
+    it('returns "unmeasured" for latency-only points on a reachable link', () => {
+      const latencyOnly = { ...validData, speedMbps: null, latencyMs: 80, testMode: 'latency-only' };
+      expect(new DataPoint(latencyOnly).getQuality()).toBe('unmeasured');
+      expect(new DataPoint(latencyOnly).getColor()).toBe('#607D8B');
+      expect(new DataPoint({ ...latencyOnly, latencyMs: null, connectionType: 'no-signal' }).getQuality()).toBe('offline');
+    });
   });
 
   describe('getColor', () => {
@@ -122,6 +310,28 @@ describe('DataPoint', () => {
       expect(noSignal).toBe('#9E9E9E');
       expect(disconnected).not.toBe(noSignal);
     });
+
+    it('renders captive portals in their own colour', () => {
+      const portal = new DataPoint({ ...validData, speedMbps: null, connectionType: 'captive-portal' });
+      expect(portal.getColor()).toBe('#9C27B0');
+      expect(portal.getQuality()).toBe('offline');
+    });
+  });
+
+  describe('getEndpointStatus', () => {
+    const up = { name: 'Origin', speedMbps: 8, partial: false };
+    const down = { name: 'CDN', speedMbps: null, partial: false };
+
+    it('returns null when no endpoints were tested', () => {
+      expect(new DataPoint(validData).getEndpointStatus()).toBeNull();
+      expect(new DataPoint({ ...validData, endpoints: [] }).getEndpointStatus()).toBeNull();
+    });
+
+    it('tells a single endpoint failing from all of them failing', () => {
+      expect(new DataPoint({ ...validData, endpoints: [up, up] }).getEndpointStatus()).toBe('all-up');
+      expect(new DataPoint({ ...validData, endpoints: [up, down] }).getEndpointStatus()).toBe('some-down');
+      expect(new DataPoint({ ...validData, endpoints: [down, down] }).getEndpointStatus()).toBe('all-down');
+    });
   });
 
   describe('toJSON / fromJSON', () => {
@@ -133,6 +343,61 @@ describe('DataPoint', () => {
       expect(restored.accuracy).toBeNull();
     });
 
+    it('round-trips uploadMbps', () => {
+      const dp = new DataPoint({ ...validData, uploadMbps: 3.2 });
+      expect(DataPoint.fromJSON(dp.toJSON()).uploadMbps).toBe(3.2);
+    });
+
+    it('round-trips latency figures', () => {
+      const dp = new DataPoint({ ...validData, latencyMs: 48.5, jitterMs: 6.2, packetLoss: 0.2 });
+      const restored = DataPoint.fromJSON(dp.toJSON());
+      expect(restored.latencyMs).toBe(48.5);
+      expect(restored.jitterMs).toBe(6.2);
+      expect(restored.packetLoss).toBe(0.2);
+    });
+
+    it('round-trips transfer figures', () => {
+      const dp = new DataPoint({ ...validData, bytesTransferred: 850000, testDurationMs: 2140, partial: true });
+      const restored = DataPoint.fromJSON(dp.toJSON());
+      expect(restored.bytesTransferred).toBe(850000);
+      expect(restored.testDurationMs).toBe(2140);
+      expect(restored.partial).toBe(true);
+    });
+
+    it('round-trips network info', () => {
+      const networkInfo = { effectiveType: '3g', downlink: 1.45, rtt: 300, saveData: true };
+      const dp = new DataPoint({ ...validData, networkInfo });
+      expect(DataPoint.fromJSON(dp.toJSON()).networkInfo).toEqual(networkInfo);
+    });
+
+    it('round-trips endpoint results', () => {
+      const endpoints = [{ name: 'Origin', speedMbps: 8, partial: false }, { name: 'CDN', speedMbps: null, partial: false }];
+      const dp = new DataPoint({ ...validData, endpoints });
+      expect(DataPoint.fromJSON(dp.toJSON()).endpoints).toEqual(endpoints);
+    });
+
+    it('round-trips sustained figures', () => {
+      const sustained = { streams: 4, peakMbps: 24, meanMbps: 18.5, samples: [12, 20, 24, 18] };
+      const dp = new DataPoint({ ...validData, testMode: 'sustained', sustained });
+      const restored = DataPoint.fromJSON(dp.toJSON());
+      expect(restored.testMode).toBe('sustained');
+      expect(restored.sustained).toEqual(sustained);
+    });
+
+    it('round-trips provenance and failure details', () => {
+      const failure = { reason: 'http-error', httpStatus: 503, bytesReceived: 0, durationMs: 240 };
+      const dp = new DataPoint({ ...validData, speedMbps: null, connectionType: 'no-signal', testUrl: '/api/speedtest/down', failure });
+      const restored = DataPoint.fromJSON(JSON.parse(JSON.stringify(dp.toJSON())));
+      expect(restored.testUrl).toBe('/api/speedtest/down');
+      expect(restored.failure).toEqual(failure);
+    });
+
+    it('round-trips timing phases', () => {
+      const timing = { dnsMs: 12.4, connectMs: 31, tlsMs: 44.2, ttfbMs: 118.6, transferMs: 1480.3 };
+      const dp = new DataPoint({ ...validData, timing });
+      expect(DataPoint.fromJSON(dp.toJSON()).timing).toEqual(timing);
+    });
+
     it('round-trips correctly', () => {
       const dp = new DataPoint(validData);
       const json = dp.toJSON();
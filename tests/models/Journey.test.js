@@ -1,6 +1,8 @@
 import { describe, it, expect, beforeEach } from 'vitest';
 import { Journey } from '../../js/models/Journey.js';
 import { DataPoint } from '../../js/models/DataPoint.js';
+import { DEFAULT_PROFILE } from '../../js/utils/classification.js';
+import { Config } from '../../js/Config.js';
 
 describe('Journey', () => {
   const validDataPoint = {
@@ -107,6 +109,115 @@ describe('Journey', () => {
     });
   });
 
+  describe('connectivity events', () => {
+    const position = { latitude: 37.7749, longitude: -122.4194 };
+
+    it('defaults to no events', () => {
+      expect(new Journey(validJourney).connectivityEvents).toEqual([]);
+    });
+
+    it('records transitions with the latest position', () => {
+      const journey = new Journey(validJourney);
+      journey.addConnectivityEvent('down', 1000, position);
+      journey.addConnectivityEvent('up', 5000, null);
+
+      expect(journey.connectivityEvents).toEqual([
+        { timestamp: 1000, state: 'down', latitude: 37.7749, longitude: -122.4194 },
+        { timestamp: 5000, state: 'up', latitude: null, longitude: null }
+      ]);
+    });
+
+    it('throws on invalid events', () => {
+      const event = { timestamp: 1000, state: 'down', latitude: null, longitude: null };
+      expect(() => new Journey({ ...validJourney, connectivityEvents: 'none' })).toThrow('Invalid connectivityEvents');
+      expect(() => new Journey({ ...validJourney, connectivityEvents: [{ ...event, state: 'flaky' }] })).toThrow('Invalid connectivityEvents.state');
+      expect(() => new Journey({ ...validJourney, connectivityEvents: [{ ...event, timestamp: 0 }] })).toThrow('Invalid connectivityEvents.timestamp');
+      expect(() => new Journey({ ...validJourney, connectivityEvents: [{ ...event, latitude: 37 }] })).toThrow('Invalid connectivityEvents coordinates');
+    });
+
+    it('pairs down and up events into outages', () => {
+      const journey = new Journey({ ...validJourney, startTime: 500, endTime: 20000 });
+      journey.addConnectivityEvent('up', 1000, position);
+      journey.addConnectivityEvent('down', 2000, position);
+      journey.addConnectivityEvent('up', 6000, position);
+      journey.addConnectivityEvent('down', 15000, null);
+
+      const outages = journey.getOutages();
+      expect(outages.map(({ start, end }) => ({ start, end }))).toEqual([
+        { start: 2000, end: 6000 },
+        { start: 15000, end: 20000 }  // still down when recording ended
+      ]);
+      expect(outages[0].startEvent.timestamp).toBe(2000);
+      expect(outages[1].endEvent).toBeNull();
+
+      const stats = journey.getStats();
+      expect(stats.outageCount).toBe(2);
+      expect(stats.outageDuration).toBe(9000);
+    });
+  });
+
+  describe('network events', () => {
+    const change = { timestamp: 1000, type: 'change', connectionType: 'cellular', effectiveType: '3g' };
+
+    it('defaults to no events', () => {
+      expect(new Journey(validJourney).networkEvents).toEqual([]);
+    });
+
+    it('records events with the latest position', () => {
+      const journey = new Journey(validJourney);
+      journey.addNetworkEvent(change, { latitude: 37.7749, longitude: -122.4194 });
+      journey.addNetworkEvent({ timestamp: 2000, type: 'offline', connectionType: 'disconnected', effectiveType: null }, null);
+
+      expect(journey.networkEvents).toEqual([
+        { ...change, latitude: 37.7749, longitude: -122.4194 },
+        { timestamp: 2000, type: 'offline', connectionType: 'disconnected', effectiveType: null, latitude: null, longitude: null }
+      ]);
+    });
+
+    it('throws on invalid events', () => {
+      const event = { ...change, latitude: null, longitude: null };
+      expect(() => new Journey({ ...validJourney, networkEvents: {} })).toThrow('Invalid networkEvents');
+      expect(() => new Journey({ ...validJourney, networkEvents: [{ ...event, type: 'handover' }] })).toThrow('Invalid networkEvents.type');
+      expect(() => new Journey({ ...validJourney, networkEvents: [{ ...event, connectionType: 'no-signal' }] })).toThrow('Invalid networkEvents.connectionType');
+      expect(() => new Journey({ ...validJourney, networkEvents: [{ ...event, effectiveType: '5g' }] })).toThrow('Invalid networkEvents.effectiveType');
+      expect(() => new Journey({ ...validJourney, networkEvents: [{ ...event, longitude: 1 }] })).toThrow('Invalid networkEvents coordinates');
+    });
+
+    it('round-trips through JSON', () => {
+      const journey = new Journey(validJourney);
+      journey.addNetworkEvent(change, null);
+
+      const restored = Journey.fromJSON(JSON.parse(JSON.stringify(journey.toJSON())));
+      expect(restored.networkEvents).toEqual(journey.networkEvents);
+    });
+  });
+
+  describe('permission events', () => {
+    it('defaults to no events', () => {
+      expect(new Journey(validJourney).permissionEvents).toEqual([]);
+    });
+
+    it('records permission changes with the latest position', () => {
+      const journey = new Journey(validJourney);
+      journey.addPermissionEvent('denied', 1000, { latitude: 37.7749, longitude: -122.4194 });
+      journey.addPermissionEvent('granted', 2000, null);
+
+      expect(journey.permissionEvents).toEqual([
+        { timestamp: 1000, state: 'denied', latitude: 37.7749, longitude: -122.4194 },
+        { timestamp: 2000, state: 'granted', latitude: null, longitude: null }
+      ]);
+      const restored = Journey.fromJSON(JSON.parse(JSON.stringify(journey.toJSON())));
+      expect(restored.permissionEvents).toEqual(journey.permissionEvents);
+    });
+
+    it('throws on invalid events', () => {
+      const event = { timestamp: 1000, state: 'denied', latitude: null, longitude: null };
+      expect(() => new Journey({ ...validJourney, permissionEvents: {} })).toThrow('Invalid permissionEvents');
+      expect(() => new Journey({ ...validJourney, permissionEvents: [{ ...event, state: 'revoked' }] })).toThrow('Invalid permissionEvents.state');
+      expect(() => new Journey({ ...validJourney, permissionEvents: [{ ...event, timestamp: 0 }] })).toThrow('Invalid permissionEvents.timestamp');
+    });
+  });
+
   describe('getStats', () => {
     it('returns correct stats for journey with data points', () => {
       const journey = new Journey({
@@ -128,8 +239,116 @@ describe('Journey', () => {
         good: 2,
         moderate: 1,
         poor: 0,
-        offline: 1
+        offline: 1,
+        unmeasured: 0
+      });
+    });
+
+    it('counts qualities with the given profile', () => {
+      const streaming = {
+        id: 'streaming',
+        name: 'Streaming',
+        good: { minDownloadMbps: 8 },
+        moderate: { minDownloadMbps: 3 }
+      };
+      const journey = new Journey({
+        ...validJourney,
+        dataPoints: [
+          { ...validDataPoint, speedMbps: 10 },
+          { ...validDataPoint, speedMbps: 5 },
+          { ...validDataPoint, speedMbps: 1 }
+        ]
+      });
+
+      expect(journey.getStats(streaming).qualityCounts).toEqual({
+        good: 1,
+        moderate: 1,
+        poor: 1,
+        offline: 0,
+        unmeasured: 0
+      });
+    });
+
+    it('weights each point by the time around it', () => {
+      const journey = new Journey({
+        ...validJourney,
+        startTime: 1000,
+        endTime: 61000,
+        dataPoints: [
+          { ...validDataPoint, timestamp: 1000 },
+          { ...validDataPoint, timestamp: 21000 },
+          { ...validDataPoint, timestamp: 51000 }
+        ]
+      });
+
+      expect(journey.getPointDurations()).toEqual([10000, 25000, 25000]);
+    });
+
+    it('returns the share of journey time each use case was ready for', () => {
+      const measured = { ...validDataPoint, latencyMs: 40, jitterMs: 5, packetLoss: 0 };
+      const journey = new Journey({
+        ...validJourney,
+        startTime: 1000,
+        endTime: 41000,
+        dataPoints: [
+          { ...measured, timestamp: 1000, speedMbps: 10 },
+          { ...measured, timestamp: 21000, speedMbps: 1 },
+          { ...validDataPoint, timestamp: 31000, speedMbps: null, connectionType: 'no-signal' },
+          { ...measured, timestamp: 41000, speedMbps: null, testMode: 'latency-only' }
+        ]
       });
+
+      const readiness = journey.getStats(DEFAULT_PROFILE, Config.useCases).useCaseReadiness;
+      expect(readiness.messaging).toBeCloseTo(30000 / 40000);
+      expect(readiness['hd-streaming']).toBeCloseTo(10000 / 35000);  // latency-only point not judged
+      expect(readiness['video-call']).toBe(0);  // without upload figures, only the dropout is judged
+      expect(journey.getStats().useCaseReadiness).toEqual({});
+    });
+
+    it('returns upload stats, ignoring points without an upload result', () => {
+      const journey = new Journey({
+        ...validJourney,
+        dataPoints: [
+          { ...validDataPoint, uploadMbps: 4 },
+          { ...validDataPoint, uploadMbps: 2 },
+          validDataPoint
+        ]
+      });
+
+      const stats = journey.getStats();
+      expect(stats.avgUpload).toBe(3);
+      expect(stats.maxUpload).toBe(4);
+      expect(stats.minUpload).toBe(2);
+    });
+
+    it('returns latency stats', () => {
+      const journey = new Journey({
+        ...validJourney,
+        dataPoints: [
+          { ...validDataPoint, latencyMs: 40, jitterMs: 4, packetLoss: 0 },
+          { ...validDataPoint, latencyMs: 60, jitterMs: 8, packetLoss: 0.4 },
+          { ...validDataPoint, speedMbps: null, connectionType: 'no-signal', packetLoss: 1 }
+        ]
+      });
+
+      const stats = journey.getStats();
+      expect(stats.avgLatency).toBe(50);
+      expect(stats.avgJitter).toBe(6);
+      expect(stats.avgPacketLoss).toBeCloseTo(0.467, 2);
+    });
+
+    it('sums speed-test bytes, counting points without a figure as zero', () => {
+      const journey = new Journey({
+        ...validJourney,
+        dataPoints: [
+          { ...validDataPoint, bytesTransferred: 200000 },
+          { ...validDataPoint, bytesTransferred: 50000 },
+          validDataPoint
+        ]
+      });
+
+      expect(journey.getDataUsage()).toBe(250000);
+      expect(journey.getStats().bytesTransferred).toBe(250000);
     });
 
     it('handles empty journey', () => {
@@ -139,6 +358,143 @@ describe('Journey', () => {
       expect(stats.avgSpeed).toBeNull();
       expect(stats.maxSpeed).toBeNull();
       expect(stats.minSpeed).toBeNull();
+      expect(stats.avgUpload).toBeNull();
+      expect(stats.avgLatency).toBeNull();
+    });
+  });
+
+  describe('getInterpolatedPoints', () => {
+    const unlocated = { ...validDataPoint, latitude: null, longitude: null, accuracy: null };
+
+    it('places unlocated points between their located neighbours by time', () => {
+      const journey = new Journey({
+        ...validJourney,
+        dataPoints: [
+          { ...validDataPoint, timestamp: 1000, latitude: 50, longitude: 10 },
+          { ...unlocated, timestamp: 2000 },
+          { ...unlocated, timestamp: 4000 },
+          { ...validDataPoint, timestamp: 5000, latitude: 52, longitude: 6 }
+        ]
+      });
+
+      const points = journey.getInterpolatedPoints();
+      expect(points[0]).toBe(journey.dataPoints[0]);
+      expect(points[0].interpolated).toBe(false);
+      expect(points[1].interpolated).toBe(true);
+      expect(points[1].latitude).toBeCloseTo(50.5);
+      expect(points[1].longitude).toBeCloseTo(9);
+      expect(points[2].latitude).toBeCloseTo(51.5);
+      expect(points[2].longitude).toBeCloseTo(7);
+      expect(points[2].speedMbps).toBe(12.5);
+      expect(journey.dataPoints[1].hasLocation()).toBe(false);
+    });
+
+    it('leaves points before the first or after the last fix unlocated', () => {
+      const journey = new Journey({
+        ...validJourney,
+        dataPoints: [
+          { ...unlocated, timestamp: 1000 },
+          { ...validDataPoint, timestamp: 2000 },
+          { ...unlocated, timestamp: 3000 }
+        ]
+      });
+
+      const points = journey.getInterpolatedPoints();
+      expect(points[0].hasLocation()).toBe(false);
+      expect(points[2].hasLocation()).toBe(false);
+      expect(points.some(dp => dp.interpolated)).toBe(false);
+    });
+  });
+
+  describe('distances', () => {
+    const unlocated = { ...validDataPoint, latitude: null, longitude: null, accuracy: null };
+
+    it('sums haversine distances along the route, placing unlocated points between fixes', () => {
+      const journey = new Journey({
+        ...validJourney,
+        dataPoints: [
+          { ...unlocated, timestamp: 500 },
+          { ...validDataPoint, timestamp: 1000, latitude: 0, longitude: 0 },
+          { ...validDataPoint, timestamp: 2000, latitude: 0.01, longitude: 0 },
+          { ...unlocated, timestamp: 2500 },
+          { ...validDataPoint, timestamp: 3000, latitude: 0.02, longitude: 0 },
+          { ...unlocated, timestamp: 4000 }
+        ]
+      });
+
+      const distances = journey.getRouteDistances();
+      expect(distances[0]).toBeNull();
+      expect(distances[1]).toBe(0);
+      expect(distances[2]).toBeCloseTo(1112, 0);
+      expect(distances[3]).toBeCloseTo(1668, 0);
+      expect(distances[4]).toBeCloseTo(2224, 0);
+      expect(distances[5]).toBeNull();
+      expect(journey.getDistance()).toBeCloseTo(2224, 0);
+      expect(journey.getStats().distance).toBeCloseTo(2224, 0);
+    });
+
+    it('is zero without two located points', () => {
+      expect(new Journey(validJourney).getDistance()).toBe(0);
+      expect(new Journey({ ...validJourney, dataPoints: [validDataPoint] }).getDistance()).toBe(0);
+    });
+  });
+
+  describe('stops and segments', () => {
+    const options = { maxSpeed: 1.5, radius: 50, minDuration: 30000 };
+    // ~111 m per 0.001° of latitude
+    const at = (timestamp, latitude, extra = {}) => ({
+      ...validDataPoint, timestamp, latitude, longitude: 0, groundSpeed: null, ...extra
+    });
+
+    const journey = () => new Journey({
+      ...validJourney,
+      startTime: 1000,
+      endTime: 101000,
+      dataPoints: [
+        at(1000, 0, { speedMbps: 20 }),
+        at(11000, 0.002, { speedMbps: 20 }),
+        at(21000, 0.004, { speedMbps: 2 }),
+        at(31000, 0.0041, { speedMbps: 2, groundSpeed: 0.5 }),
+        { ...validDataPoint, timestamp: 41000, latitude: null, longitude: null, accuracy: null, speedMbps: 4 },
+        at(51000, 0.0042, { speedMbps: 2, groundSpeed: 0 }),
+        at(61000, 0.0042, { speedMbps: 20, groundSpeed: 12 }),
+        at(71000, 0.006, { speedMbps: 20 })
+      ]
+    });
+
+    it('finds runs of points that stay put for long enough', () => {
+      expect(journey().getStoppedPoints(options)).toEqual([false, false, true, true, true, true, false, false]);
+    });
+
+    it('ignores short halts and points moving fast in the same place', () => {
+      expect(journey().getStoppedPoints({ ...options, minDuration: 60000 })).toEqual(new Array(8).fill(false));
+      expect(journey().getStoppedPoints({ ...options, maxSpeed: 0.1 }).slice(2, 6)).toEqual([false, false, false, false]);
+    });
+
+    it('splits the journey into segments with their own stats', () => {
+      const segments = journey().getSegments(options);
+
+      expect(segments.map(segment => [segment.type, segment.startIndex, segment.endIndex])).toEqual([
+        ['moving', 0, 1],
+        ['stop', 2, 5],
+        ['moving', 6, 7]
+      ]);
+
+      const stop = segments[1];
+      expect(stop.start).toBe(16000);
+      expect(stop.end).toBe(56000);
+      expect(stop.latitude).toBeCloseTo(0.0041, 6);
+      expect(stop.longitude).toBe(0);
+      expect(stop.distanceFrom).toBeCloseTo(445, 0);
+      expect(stop.distanceTo).toBeCloseTo(467, 0);
+      expect(stop.stats.pointCount).toBe(4);
+      expect(stop.stats.avgSpeed).toBeCloseTo(2.5);
+      expect(stop.stats.duration).toBe(40000);
+      expect(stop.stats).not.toHaveProperty('outageCount');
+    });
+
+    it('returns no segments for an empty journey', () => {
+      expect(new Journey(validJourney).getSegments(options)).toEqual([]);
     });
   });
 
@@ -160,6 +516,14 @@ describe('Journey', () => {
       expect(restored.dataPoints).toHaveLength(1);
       expect(restored.dataPoints[0]).toBeInstanceOf(DataPoint);
     });
+
+    it('round-trips connectivity events', () => {
+      const journey = new Journey(validJourney);
+      journey.addConnectivityEvent('down', 1000, { latitude: 37.7749, longitude: -122.4194 });
+
+      const restored = Journey.fromJSON(JSON.parse(JSON.stringify(journey.toJSON())));
+      expect(restored.connectivityEvents).toEqual(journey.connectivityEvents);
+    });
   });
 
   describe('Journey.create', () => {
@@ -0,0 +1,118 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { GeolocationService } from '../../js/services/GeolocationService.js';
+
+describe('GeolocationService', () => {
+  let service;
+  let geolocation;
+
+  const fix = (coords) => ({
+    coords: {
+      latitude: 51.5,
+      longitude: -0.12,
+      accuracy: 8,
+      altitude: null,
+      altitudeAccuracy: null,
+      heading: null,
+      speed: null,
+      ...coords
+    },
+    timestamp: 1706745600000
+  });
+
+  beforeEach(() => {
+    geolocation = {
+      getCurrentPosition: vi.fn(),
+      watchPosition: vi.fn(() => 7),
+      clearWatch: vi.fn()
+    };
+    Object.defineProperty(navigator, 'geolocation', { value: geolocation, configurable: true });
+    service = new GeolocationService();
+  });
+
+  afterEach(() => {
+    delete navigator.geolocation;
+  });
+
+  it('keeps altitude, heading and ground speed', async () => {
+    geolocation.getCurrentPosition.mockImplementation((success) => success(fix({
+      altitude: 42.3,
+      altitudeAccuracy: 15,
+      heading: 118.5,
+      speed: 24.2
+    })));
+
+    await expect(service.getCurrentPosition()).resolves.toEqual({
+      latitude: 51.5,
+      longitude: -0.12,
+      accuracy: 8,
+      altitude: 42.3,
+      altitudeAccuracy: 15,
+      heading: 118.5,
+      speed: 24.2,
+      timestamp: 1706745600000
+    });
+  });
+
+  it('reports a stationary heading (NaN) as null', () => {
+    const onPosition = vi.fn();
+    geolocation.watchPosition.mockImplementation((success) => {
+      success(fix({ heading: NaN, speed: 0 }));
+      return 7;
+    });
+
+    expect(service.watchPosition(onPosition, vi.fn())).toBe(7);
+    expect(onPosition).toHaveBeenCalledWith(expect.objectContaining({ heading: null, speed: 0, altitude: null }));
+  });
+
+  describe('watchPermission', () => {
+    let status;
+
+    beforeEach(() => {
+      status = Object.assign(new EventTarget(), { state: 'granted' });
+      Object.defineProperty(navigator, 'permissions', {
+        value: { query: vi.fn().mockResolvedValue(status) },
+        configurable: true
+      });
+    });
+
+    afterEach(() => {
+      delete navigator.permissions;
+    });
+
+    it('reports permission changes until unwatched', async () => {
+      const onChange = vi.fn();
+      await service.watchPermission(onChange);
+      expect(navigator.permissions.query).toHaveBeenCalledWith({ name: 'geolocation' });
+
+      status.state = 'denied';
+      status.dispatchEvent(new Event('change'));
+      expect(onChange).toHaveBeenCalledWith('denied');
+
+      service.unwatchPermission();
+      status.state = 'granted';
+      status.dispatchEvent(new Event('change'));
+      expect(onChange).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not listen if unwatched while the query is pending', async () => {
+      const onChange = vi.fn();
+      const watching = service.watchPermission(onChange);
+      service.unwatchPermission();
+      await watching;
+
+      status.dispatchEvent(new Event('change'));
+      expect(onChange).not.toHaveBeenCalled();
+    });
+
+    it('does nothing without the Permissions API', async () => {
+      delete navigator.permissions;
+      await expect(service.watchPermission(vi.fn())).resolves.toBeUndefined();
+    });
+  });
+
+  it('translates errors', async () => {
+    geolocation.getCurrentPosition.mockImplementation((success, failure) => failure({ code: 1 }));
+
+    await expect(service.getCurrentPosition()).rejects.toMatchObject({ code: 1, message: expect.stringContaining('permission denied') });
+  });
+});
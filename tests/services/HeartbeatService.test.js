@@ -0,0 +1,169 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { HeartbeatService } from '../../js/services/HeartbeatService.js';
+
+describe('HeartbeatService', () => {
+  let heartbeat;
+  let onChange;
+
+  beforeEach(() => {
+    heartbeat = new HeartbeatService({ url: 'https://example.com/ping', failureThreshold: 2 });
+    onChange = vi.fn();
+    heartbeat.onChange = onChange;
+
+    Object.defineProperty(navigator, 'onLine', {
+      writable: true,
+      configurable: true,
+      value: true
+    });
+  });
+
+  afterEach(() => {
+    heartbeat.stop();
+    vi.restoreAllMocks();
+  });
+
+  describe('record', () => {
+    it('reports the first state it sees', () => {
+      heartbeat.record(true, 1000);
+      expect(onChange).toHaveBeenCalledWith('up', 1000);
+    });
+
+    it('only reports transitions', () => {
+      heartbeat.record(true, 1000);
+      heartbeat.record(true, 2000);
+      heartbeat.record(true, 3000);
+      expect(onChange).toHaveBeenCalledTimes(1);
+    });
+
+    it('ignores a single lost ping', () => {
+      heartbeat.record(true, 1000);
+      heartbeat.record(false, 2000);
+      heartbeat.record(true, 3000);
+      expect(onChange).toHaveBeenCalledTimes(1);
+    });
+
+    it('reports down after consecutive failures, at the first failure', () => {
+      heartbeat.record(true, 1000);
+      heartbeat.record(false, 2000);
+      heartbeat.record(false, 3000);
+      heartbeat.record(false, 4000);
+      heartbeat.record(true, 5000);
+
+      expect(onChange.mock.calls).toEqual([
+        ['up', 1000],
+        ['down', 2000],
+        ['up', 5000]
+      ]);
+    });
+  });
+
+  describe('ping', () => {
+    it('fetches the resource with a cache buster', async () => {
+      const fetchSpy = vi.spyOn(globalThis, 'fetch').mockResolvedValue({ ok: true });
+
+      expect(await heartbeat.ping()).toBe(true);
+      expect(fetchSpy.mock.calls[0][0]).toMatch(/^https:\/\/example\.com\/ping\?_t=\d+$/);
+    });
+
+    it('fails on network and HTTP errors', async () => {
+      vi.spyOn(globalThis, 'fetch')
+        .mockRejectedValueOnce(new Error('Network error'))
+        .mockResolvedValueOnce({ ok: false, status: 502 });
+
+      expect(await heartbeat.ping()).toBe(false);
+      expect(await heartbeat.ping()).toBe(false);
+    });
+
+    it('counts the estimated bytes of the pings it sends until taken', async () => {
+      heartbeat = new HeartbeatService({ requestBytes: 400 });
+      vi.spyOn(globalThis, 'fetch').mockResolvedValue({ ok: true });
+
+      await heartbeat.ping();
+      await heartbeat.ping();
+      navigator.onLine = false;
+      await heartbeat.ping();
+
+      expect(heartbeat.takeBytesUsed()).toBe(800);
+      expect(heartbeat.takeBytesUsed()).toBe(0);
+    });
+
+    it('asks the probe instead of fetching when one is given', async () => {
+      const probe = vi.fn().mockResolvedValue(false);
+      heartbeat = new HeartbeatService({ probe });
+      const fetchSpy = vi.spyOn(globalThis, 'fetch');
+
+      expect(await heartbeat.ping()).toBe(false);
+      expect(probe).toHaveBeenCalledTimes(1);
+      expect(fetchSpy).not.toHaveBeenCalled();
+    });
+
+    it('fails without fetching when the browser is offline', async () => {
+      navigator.onLine = false;
+      const fetchSpy = vi.spyOn(globalThis, 'fetch');
+
+      expect(await heartbeat.ping()).toBe(false);
+      expect(fetchSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('beat', () => {
+    it('skips pings while paused', async () => {
+      const pingSpy = vi.spyOn(heartbeat, 'ping').mockResolvedValue(true);
+
+      heartbeat.setPaused(true);
+      await heartbeat.beat();
+      heartbeat.setPaused(false);
+      await heartbeat.beat();
+
+      expect(pingSpy).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not overlap pings', async () => {
+      let resolvePing;
+      const pingSpy = vi.spyOn(heartbeat, 'ping').mockImplementation(() => new Promise(resolve => {
+        resolvePing = resolve;
+      }));
+
+      const first = heartbeat.beat();
+      await heartbeat.beat();
+      resolvePing(true);
+      await first;
+
+      expect(pingSpy).toHaveBeenCalledTimes(1);
+      expect(onChange).toHaveBeenCalledWith('up', expect.any(Number));
+    });
+  });
+
+  describe('start / stop', () => {
+    beforeEach(() => {
+      vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    // jsdom has no Worker, so the BackgroundTimer falls back to setInterval
+    it('pings immediately and then on the interval', async () => {
+      const pingSpy = vi.spyOn(heartbeat, 'ping').mockResolvedValue(true);
+
+      heartbeat.start(onChange);
+      await vi.advanceTimersByTimeAsync(3000);
+
+      expect(pingSpy).toHaveBeenCalledTimes(4);
+      expect(onChange).toHaveBeenCalledTimes(1);
+    });
+
+    it('forgets the state when stopped', async () => {
+      vi.spyOn(heartbeat, 'ping').mockResolvedValue(true);
+
+      heartbeat.start(onChange);
+      await vi.advanceTimersByTimeAsync(0);
+      heartbeat.stop();
+      heartbeat.start(onChange);
+      await vi.advanceTimersByTimeAsync(0);
+
+      expect(onChange).toHaveBeenCalledTimes(2);
+    });
+  });
+});
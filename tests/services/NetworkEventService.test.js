@@ -0,0 +1,69 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { NetworkEventService } from '../../js/services/NetworkEventService.js';
+import { SpeedTestService } from '../../js/services/SpeedTestService.js';
+
+describe('NetworkEventService', () => {
+  let connection;
+  let service;
+  let onEvent;
+
+  beforeEach(() => {
+    connection = new EventTarget();
+    connection.type = 'cellular';
+    connection.effectiveType = '4g';
+    connection.downlink = 10;
+    Object.defineProperty(navigator, 'connection', { value: connection, configurable: true });
+    Object.defineProperty(navigator, 'onLine', { writable: true, configurable: true, value: true });
+
+    service = new NetworkEventService(new SpeedTestService());
+    onEvent = vi.fn();
+    service.start(onEvent);
+  });
+
+  afterEach(() => {
+    service.stop();
+    Object.defineProperty(navigator, 'connection', { value: undefined, configurable: true });
+  });
+
+  it('reports offline and online events with the connection state', () => {
+    navigator.onLine = false;
+    window.dispatchEvent(new Event('offline'));
+    navigator.onLine = true;
+    window.dispatchEvent(new Event('online'));
+
+    expect(onEvent.mock.calls.map(([event]) => event)).toEqual([
+      { timestamp: expect.any(Number), type: 'offline', connectionType: 'disconnected', effectiveType: '4g' },
+      { timestamp: expect.any(Number), type: 'online', connectionType: 'cellular', effectiveType: '4g' }
+    ]);
+  });
+
+  it('reports a drop in effective type', () => {
+    connection.effectiveType = '3g';
+    connection.dispatchEvent(new Event('change'));
+
+    expect(onEvent).toHaveBeenCalledWith(expect.objectContaining({ type: 'change', effectiveType: '3g' }));
+  });
+
+  it('reports a handover between connection types', () => {
+    connection.type = 'wifi';
+    connection.dispatchEvent(new Event('change'));
+
+    expect(onEvent).toHaveBeenCalledWith(expect.objectContaining({ type: 'change', connectionType: 'wifi' }));
+  });
+
+  it('ignores changes that only revise the bandwidth estimate', () => {
+    connection.downlink = 7.5;
+    connection.dispatchEvent(new Event('change'));
+
+    expect(onEvent).not.toHaveBeenCalled();
+  });
+
+  it('stops listening after stop()', () => {
+    service.stop();
+    window.dispatchEvent(new Event('offline'));
+    connection.effectiveType = '2g';
+    connection.dispatchEvent(new Event('change'));
+
+    expect(onEvent).not.toHaveBeenCalled();
+  });
+});
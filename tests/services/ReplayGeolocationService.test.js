@@ -0,0 +1,135 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  ReplayGeolocationService,
+  parseGpx,
+  parseGeoJson,
+  parseTrack
+} from '../../js/services/ReplayGeolocationService.js';
+
+describe('ReplayGeolocationService', () => {
+  // Two legs of ~1.1 km due north, 100 s each
+  const track = [
+    { latitude: 51.0, longitude: 0, altitude: 10, time: 0 },
+    { latitude: 51.01, longitude: 0, altitude: 20, time: 100000 },
+    { latitude: 51.02, longitude: 0, altitude: null, time: 200000 }
+  ];
+
+  const gpx = `<?xml version="1.0"?>
+    <gpx version="1.1" xmlns="http://www.topografix.com/GPX/1/1">
+      <trk><trkseg>
+        <trkpt lat="51.0" lon="0.5"><ele>12</ele><time>2024-02-01T08:00:00Z</time></trkpt>
+        <trkpt lat="51.01" lon="0.5"><ele>14</ele><time>2024-02-01T08:01:40Z</time></trkpt>
+      </trkseg></trk>
+    </gpx>`;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(1706745600000);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+  });
+
+  describe('parsing', () => {
+    it('reads GPX track points with times relative to the first', () => {
+      expect(parseGpx(gpx)).toEqual([
+        { latitude: 51.0, longitude: 0.5, altitude: 12, time: 0 },
+        { latitude: 51.01, longitude: 0.5, altitude: 14, time: 100000 }
+      ]);
+    });
+
+    it('reads GeoJSON LineStrings with coordTimes', () => {
+      const points = parseGeoJson({
+        type: 'Feature',
+        properties: { coordTimes: ['2024-02-01T08:00:00Z', '2024-02-01T08:00:30Z'] },
+        geometry: { type: 'LineString', coordinates: [[0.5, 51.0], [0.5, 51.01, 30]] }
+      });
+      expect(points).toEqual([
+        { latitude: 51.0, longitude: 0.5, altitude: null, time: 0 },
+        { latitude: 51.01, longitude: 0.5, altitude: 30, time: 30000 }
+      ]);
+    });
+
+    it('times untimed tracks at the default speed', () => {
+      const points = parseGeoJson({ type: 'LineString', coordinates: [[0, 0], [0, 0.01]] }, 10);
+      expect(points[1].time).toBeCloseTo(111195, -2);
+    });
+
+    it('tells GPX from GeoJSON and rejects empty tracks', () => {
+      expect(parseTrack(gpx)).toHaveLength(2);
+      expect(parseTrack(JSON.stringify({ type: 'LineString', coordinates: [[0, 0]] }))).toHaveLength(1);
+      expect(() => parseTrack('{"type": "FeatureCollection", "features": []}')).toThrow('Track has no points');
+    });
+  });
+
+  it('interpolates along the track at the playback speed', async () => {
+    const service = new ReplayGeolocationService({ track, speedFactor: 10 });
+
+    const start = await service.getCurrentPosition();
+    expect(start).toMatchObject({ latitude: 51.0, longitude: 0, altitude: 10, accuracy: 10 });
+
+    vi.advanceTimersByTime(5000);  // 50 s of track time
+    const position = await service.getCurrentPosition();
+    expect(position.latitude).toBeCloseTo(51.005);
+    expect(position.altitude).toBeCloseTo(15);
+    expect(position.heading).toBeCloseTo(0);
+    expect(position.speed).toBeCloseTo(11.1, 1);
+    expect(position.timestamp).toBe(1706745600000 + 50000);
+  });
+
+  it('stays at the last point once the track ends', async () => {
+    const service = new ReplayGeolocationService({ track });
+    await service.getCurrentPosition();
+    vi.advanceTimersByTime(300000);
+
+    expect(await service.getCurrentPosition()).toMatchObject({ latitude: 51.02, speed: 0, heading: null });
+  });
+
+  it('measures the distance covered along the track', async () => {
+    const service = new ReplayGeolocationService({ track });
+    expect(service.getDistanceTravelled()).toBe(0);
+
+    await service.getCurrentPosition();
+    vi.advanceTimersByTime(150000);
+    expect(service.getDistanceTravelled()).toBeCloseTo(1668, -1);
+
+    vi.advanceTimersByTime(100000);
+    expect(service.getDistanceTravelled()).toBeCloseTo(2224, -1);
+  });
+
+  it('reports positions to watchers until cleared', async () => {
+    const service = new ReplayGeolocationService({ track, interval: 1000 });
+    const onPosition = vi.fn();
+
+    const watchId = service.watchPosition(onPosition, vi.fn());
+    await vi.advanceTimersByTimeAsync(3000);
+    expect(onPosition).toHaveBeenCalledTimes(4);
+
+    service.clearWatch(watchId);
+    await vi.advanceTimersByTimeAsync(3000);
+    expect(onPosition).toHaveBeenCalledTimes(4);
+  });
+
+  it('loads the track from a URL on first use', async () => {
+    const fetchMock = vi.fn().mockResolvedValue({ ok: true, text: () => Promise.resolve(gpx) });
+    vi.stubGlobal('fetch', fetchMock);
+    const service = new ReplayGeolocationService({ url: '/tracks/commute.gpx' });
+
+    expect(await service.requestPermission()).toBe(true);
+    expect((await service.getCurrentPosition()).longitude).toBe(0.5);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('passes load failures to watchers', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue({ ok: false, status: 404 }));
+    const service = new ReplayGeolocationService({ url: '/tracks/missing.gpx' });
+    const onError = vi.fn();
+
+    service.watchPosition(vi.fn(), onError);
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ status: 404 }));
+  });
+});
@@ -0,0 +1,138 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { SimulatedSpeedTestService } from '../../js/services/SimulatedSpeedTestService.js';
+
+describe('SimulatedSpeedTestService', () => {
+  let distance;
+  let service;
+
+  const script = {
+    baseline: { downloadMbps: 12, uploadMbps: 3, latencyMs: 60, jitterMs: 6, packetLoss: 0 },
+    segments: [
+      { name: 'Slow patch', atMs: 60000, untilMs: 120000, downloadMbps: 1.5, latencyMs: 400 },
+      { name: 'Tunnel', atKm: 12, durationMs: 40000, outage: true },
+      { name: 'Station', atKm: 20, untilKm: 21, connectionType: 'wifi', captivePortal: true }
+    ]
+  };
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(1706745600000);
+    Object.defineProperty(navigator, 'onLine', { writable: true, configurable: true, value: true });
+    distance = 0;
+    service = new SimulatedSpeedTestService({
+      script,
+      getDistance: () => distance,
+      testUrl: '/api/speedtest/down',
+      maxBytes: 2000000,
+      targetDuration: 1500,
+      uploadSize: 50000
+    });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('reports the baseline conditions without making requests', async () => {
+    const fetchSpy = vi.spyOn(globalThis, 'fetch');
+    const result = await service.measureSpeed();
+
+    expect(fetchSpy).not.toHaveBeenCalled();
+    expect(result).toMatchObject({
+      speedMbps: 12,
+      uploadMbps: 3,
+      latencyMs: 60,
+      jitterMs: 6,
+      packetLoss: 0,
+      bytesTransferred: 2000000 + 50000,  // 1.5 s at 12 Mbps, capped at maxBytes, plus upload
+      testMode: 'full',
+      testUrl: '/api/speedtest/down',
+      failure: null,
+      connectionType: 'cellular'
+    });
+    fetchSpy.mockRestore();
+  });
+
+  it('applies time-placed segments while they last', async () => {
+    await service.measureSpeed();
+    vi.advanceTimersByTime(90000);
+    expect(await service.measureSpeed()).toMatchObject({ speedMbps: 1.5, latencyMs: 400 });
+
+    vi.advanceTimersByTime(60000);
+    expect((await service.measureSpeed()).speedMbps).toBe(12);
+  });
+
+  it('starts a km-placed outage when the distance is reached and ends it after its duration', async () => {
+    await service.measureSpeed();
+    distance = 12100;
+    vi.advanceTimersByTime(10000);
+
+    const result = await service.measureSpeed();
+    expect(result).toMatchObject({ speedMbps: null, latencyMs: null, packetLoss: 1, connectionType: 'no-signal' });
+    expect(result.failure.reason).toBe('timeout');
+
+    vi.advanceTimersByTime(40000);
+    expect((await service.measureSpeed()).speedMbps).toBe(12);
+  });
+
+  it('simulates a captive portal between two distances', async () => {
+    distance = 12000;
+    await service.measureSpeed();
+    vi.advanceTimersByTime(60000);  // through the tunnel
+
+    distance = 20500;
+    const result = await service.measureSpeed();
+    expect(result).toMatchObject({ speedMbps: null, connectionType: 'captive-portal' });
+    expect(result.failure.reason).toBe('captive-portal');
+
+    distance = 21000;
+    expect((await service.measureSpeed()).connectionType).toBe('cellular');
+  });
+
+  it('starts the clock with the first measurement, not a connection check', async () => {
+    expect(service.getConnectionType()).toBe('cellular');
+    vi.advanceTimersByTime(90000);
+
+    expect((await service.measureSpeed()).speedMbps).toBe(12);
+    vi.advanceTimersByTime(90000);
+    expect((await service.measureSpeed()).speedMbps).toBe(1.5);
+  });
+
+  it('answers heartbeat pings by the script', async () => {
+    await service.measureSpeed();
+    expect(await service.ping()).toBe(true);
+
+    distance = 12100;
+    expect(await service.ping()).toBe(false);
+
+    vi.advanceTimersByTime(40000);
+    expect(await service.ping()).toBe(true);
+  });
+
+  it('runs script time faster to match a sped-up replay', async () => {
+    const fast = new SimulatedSpeedTestService({ script, speedFactor: 10 });
+    await fast.measureSpeed();
+    vi.advanceTimersByTime(9000);  // 90 s of script time
+    expect((await fast.measureSpeed()).speedMbps).toBe(1.5);
+  });
+
+  it('reports disconnected when navigator.onLine is false', async () => {
+    navigator.onLine = false;
+    const result = await service.measureSpeed();
+    expect(result.connectionType).toBe('disconnected');
+    expect(result.failure.reason).toBe('disconnected');
+  });
+
+  it('supports latency-only and sustained measurements', async () => {
+    expect(await service.measureLatencyOnly()).toMatchObject({
+      speedMbps: null,
+      latencyMs: 60,
+      testMode: 'latency-only',
+      connectionType: 'cellular'
+    });
+
+    const sustained = await service.measureSustained();
+    expect(sustained.speedMbps).toBe(12);
+    expect(sustained.sustained).toEqual({ streams: 4, peakMbps: 12, meanMbps: 12, samples: new Array(10).fill(12) });
+  });
+});
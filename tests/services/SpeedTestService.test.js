@@ -1,5 +1,6 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { SpeedTestService } from '../../js/services/SpeedTestService.js';
+import { DataPoint } from '../../js/models/DataPoint.js';
 
 describe('SpeedTestService', () => {
   let service;
@@ -8,7 +9,11 @@ describe('SpeedTestService', () => {
     service = new SpeedTestService({
       testUrl: 'https://example.com/test.js',
       testFileSize: 100000,
-      timeout: 5000
+      timeout: 5000,
+      // Probes and adaptive sizing are covered separately; keep them out of
+      // the fetch/timing mocks
+      latencyProbeCount: 0,
+      adaptive: false
     });
 
     // Mock navigator.onLine
@@ -32,7 +37,10 @@ describe('SpeedTestService', () => {
   describe('constructor', () => {
     it('uses default values when no options provided', () => {
       const defaultService = new SpeedTestService();
-      expect(defaultService.testUrl).toContain('leaflet');
+      expect(defaultService.testUrl).toBe('/api/speedtest/down');
+      expect(defaultService.adaptive).toBe(true);
+      expect(defaultService.uploadUrl).toBe('/api/speedtest/up');
+      expect(defaultService.uploadSize).toBe(50000);
       expect(defaultService.timeout).toBe(5000);
     });
 
@@ -71,6 +79,41 @@ describe('SpeedTestService', () => {
     });
   });
 
+  describe('getNetworkInfo', () => {
+    it('returns null when the connection API is not available', () => {
+      expect(service.getNetworkInfo()).toBeNull();
+    });
+
+    it('reports the browser estimate fields', () => {
+      Object.defineProperty(navigator, 'connection', {
+        value: { effectiveType: '3g', downlink: 1.45, rtt: 300, saveData: true },
+        configurable: true
+      });
+      expect(service.getNetworkInfo()).toEqual({ effectiveType: '3g', downlink: 1.45, rtt: 300, saveData: true });
+    });
+
+    it('uses null for fields the browser does not report', () => {
+      Object.defineProperty(navigator, 'connection', {
+        value: { type: 'wifi' },
+        configurable: true
+      });
+      expect(service.getNetworkInfo()).toEqual({ effectiveType: null, downlink: null, rtt: null, saveData: null });
+    });
+
+    it('is included in measurement results, including failed ones', async () => {
+      Object.defineProperty(navigator, 'connection', {
+        value: { effectiveType: '2g', downlink: 0.2, rtt: 1800, saveData: false },
+        configurable: true
+      });
+      vi.spyOn(globalThis, 'fetch').mockRejectedValue(new Error('Network error'));
+
+      const result = await service.measureSpeed();
+
+      expect(result.connectionType).toBe('no-signal');
+      expect(result.networkInfo.effectiveType).toBe('2g');
+    });
+  });
+
   describe('measureSpeed', () => {
     it('returns disconnected when not online', async () => {
       Object.defineProperty(navigator, 'onLine', { value: false });
@@ -134,6 +177,847 @@ describe('SpeedTestService', () => {
     });
   });
 
+  describe('failure provenance', () => {
+    it('records the endpoint and no failure for a working measurement', async () => {
+      vi.spyOn(globalThis, 'fetch').mockResolvedValue({ ok: true, status: 200, blob: () => Promise.resolve({ size: 100000 }) });
+      vi.spyOn(service, 'measureUpload').mockResolvedValue(1);
+
+      const result = await service.measureSpeed();
+
+      expect(result.testUrl).toBe('https://example.com/test.js');
+      expect(result.failure).toBeNull();
+    });
+
+    it('records timeouts', async () => {
+      vi.spyOn(globalThis, 'fetch').mockImplementation(() => {
+        const error = new Error('Aborted');
+        error.name = 'AbortError';
+        return Promise.reject(error);
+      });
+
+      const result = await service.measureSpeed();
+
+      expect(result.failure).toMatchObject({ reason: 'timeout', httpStatus: null, bytesReceived: 0 });
+      expect(result.testUrl).toBe('https://example.com/test.js');
+    });
+
+    it('records real fetch aborts as timeouts', async () => {
+      vi.spyOn(globalThis, 'fetch').mockRejectedValue(new DOMException('Aborted', 'AbortError'));
+      vi.spyOn(performance, 'now')
+        .mockReturnValueOnce(0)
+        .mockReturnValueOnce(5000);
+
+      const result = await service.measureSpeed();
+
+      expect(result.failure).toEqual({ reason: 'timeout', httpStatus: null, bytesReceived: 0, durationMs: 5000 });
+    });
+
+    it('records HTTP errors with their status', async () => {
+      vi.spyOn(globalThis, 'fetch').mockResolvedValue({ ok: false, status: 503 });
+      vi.spyOn(performance, 'now')
+        .mockReturnValueOnce(0)
+        .mockReturnValueOnce(240);
+
+      const result = await service.measureSpeed();
+
+      expect(result.connectionType).toBe('no-signal');
+      expect(result.failure).toEqual({ reason: 'http-error', httpStatus: 503, bytesReceived: 0, durationMs: 240 });
+    });
+
+    it('records rejected fetches (DNS, CORS) as network errors', async () => {
+      vi.spyOn(globalThis, 'fetch').mockRejectedValue(new TypeError('Failed to fetch'));
+
+      const result = await service.measureSpeed();
+
+      expect(result.failure.reason).toBe('network-error');
+    });
+
+    it('records captive portals with the bytes of the login page', async () => {
+      service = new SpeedTestService({ latencyProbeCount: 0, initialBytes: 25000 });
+      vi.spyOn(globalThis, 'fetch').mockResolvedValue({
+        ok: true,
+        status: 200,
+        redirected: false,
+        headers: new Headers({ 'Content-Type': 'application/octet-stream' }),
+        blob: () => Promise.resolve({ size: 4200 })
+      });
+
+      const result = await service.measureSpeed();
+
+      expect(result.failure).toMatchObject({ reason: 'captive-portal', httpStatus: 200, bytesReceived: 4200 });
+    });
+
+    it('records a disconnected local network without making a request', async () => {
+      Object.defineProperty(navigator, 'onLine', { value: false });
+      const fetchSpy = vi.spyOn(globalThis, 'fetch');
+
+      const result = await service.measureSpeed();
+
+      expect(fetchSpy).not.toHaveBeenCalled();
+      expect(result.testUrl).toBeNull();
+      expect(result.failure).toEqual({ reason: 'disconnected', httpStatus: null, bytesReceived: 0, durationMs: 0 });
+    });
+
+    it('keeps no failure when an earlier adaptive round succeeded', async () => {
+      service = new SpeedTestService({ latencyProbeCount: 0, initialBytes: 10000, targetDuration: 1000 });
+      vi.spyOn(service, 'downloadOnce')
+        .mockResolvedValueOnce({ bytes: 10000, durationMs: 100, speedMbps: 0.8, partial: false })
+        .mockRejectedValueOnce(service.httpError(502));
+
+      const result = await service.measureDownload();
+
+      expect(result.speedMbps).toBe(0.8);
+      expect(result.failure).toBeNull();
+    });
+  });
+
+  describe('streamed download', () => {
+    // Fake ReadableStream body: yields the given chunk sizes, then either
+    // finishes or rejects the next read with the given error
+    const streamingBody = (chunkSizes, error = null) => {
+      const chunks = [...chunkSizes];
+      return {
+        getReader: () => ({
+          read: () => {
+            if (chunks.length > 0) {
+              return Promise.resolve({ done: false, value: new Uint8Array(chunks.shift()) });
+            }
+            return error ? Promise.reject(error) : Promise.resolve({ done: true });
+          }
+        })
+      };
+    };
+
+    const abortError = () => {
+      const error = new Error('Aborted');
+      error.name = 'AbortError';
+      return error;
+    };
+
+    it('counts streamed bytes for a complete transfer', async () => {
+      vi.spyOn(globalThis, 'fetch').mockResolvedValue({ ok: true, body: streamingBody([60000, 40000]) });
+      vi.spyOn(performance, 'now')
+        .mockReturnValueOnce(0)
+        .mockReturnValueOnce(1000);
+
+      const round = await service.downloadOnce('https://example.com/test.js', 150000);
+
+      expect(round.bytes).toBe(100000);
+      expect(round.speedMbps).toBe(0.8);
+      expect(round.partial).toBe(false);
+    });
+
+    it('returns a partial result when the timeout fires mid-transfer', async () => {
+      vi.spyOn(globalThis, 'fetch').mockResolvedValue({ ok: true, body: streamingBody([25000], abortError()) });
+      vi.spyOn(performance, 'now')
+        .mockReturnValueOnce(0)
+        .mockReturnValueOnce(5000);
+
+      const round = await service.downloadOnce('https://example.com/test.js', 150000);
+
+      expect(round.bytes).toBe(25000);
+      expect(round.speedMbps).toBe(0.04); // 25000 bytes * 8 bits / 5 seconds / 1000000
+      expect(round.partial).toBe(true);
+    });
+
+    it('throws when the timeout fires before any byte arrived', async () => {
+      vi.spyOn(globalThis, 'fetch').mockResolvedValue({ ok: true, body: streamingBody([], abortError()) });
+
+      await expect(service.downloadOnce('https://example.com/test.js', 150000)).rejects.toThrow('Aborted');
+    });
+
+    it('keeps the partial credit when a real fetch abort ends the transfer', async () => {
+      const body = streamingBody([25000], new DOMException('Aborted', 'AbortError'));
+      vi.spyOn(globalThis, 'fetch').mockResolvedValue({ ok: true, body });
+
+      const round = await service.downloadOnce('https://example.com/test.js', 150000);
+
+      expect(round).toMatchObject({ bytes: 25000, partial: true });
+    });
+
+    it('wraps a real fetch abort before any byte arrived', async () => {
+      const abort = new DOMException('Aborted', 'AbortError');
+      vi.spyOn(globalThis, 'fetch').mockResolvedValue({ ok: true, body: streamingBody([], abort) });
+
+      const error = await service.downloadOnce('https://example.com/test.js', 150000).catch(e => e);
+
+      expect(error).toMatchObject({ code: 'timeout', status: null, bytes: 0, cause: abort });
+    });
+
+    it('records a slow-but-working link as a partial measurement, not no-signal', async () => {
+      vi.spyOn(globalThis, 'fetch').mockResolvedValue({ ok: true, body: streamingBody([25000], abortError()) });
+      vi.spyOn(service, 'measureUpload').mockResolvedValue(null);
+
+      const result = await service.measureSpeed();
+
+      expect(result.speedMbps).not.toBeNull();
+      expect(result.partial).toBe(true);
+      expect(result.connectionType).toBe('unknown');
+    });
+
+    it('stops growing an adaptive download after a partial round', async () => {
+      service = new SpeedTestService({ latencyProbeCount: 0, initialBytes: 10000, targetDuration: 1000 });
+      const downloadSpy = vi.spyOn(service, 'downloadOnce')
+        .mockResolvedValueOnce({ bytes: 10000, durationMs: 100, speedMbps: 0.8, partial: false })
+        .mockResolvedValueOnce({ bytes: 30000, durationMs: 5000, speedMbps: 0.05, partial: true });
+
+      const result = await service.measureDownload();
+
+      expect(downloadSpy).toHaveBeenCalledTimes(2);
+      expect(result.speedMbps).toBe(0.05);
+      expect(result.partial).toBe(true);
+      expect(result.bytes).toBe(40000);
+    });
+  });
+
+  describe('captive portal detection', () => {
+    const loginPage = (overrides = {}) => ({
+      ok: true,
+      status: 200,
+      redirected: false,
+      headers: new Headers({ 'Content-Type': 'text/html; charset=utf-8' }),
+      blob: () => Promise.resolve({ size: 4200 }),
+      ...overrides
+    });
+
+    it('classifies an HTML response as a captive portal', async () => {
+      vi.spyOn(globalThis, 'fetch').mockResolvedValue(loginPage());
+      const uploadSpy = vi.spyOn(service, 'measureUpload');
+
+      const result = await service.measureSpeed();
+
+      expect(result.connectionType).toBe('captive-portal');
+      expect(result.speedMbps).toBeNull();
+      expect(uploadSpy).not.toHaveBeenCalled();
+    });
+
+    it('accepts a redirect to the test file, e.g. a CDN hop', async () => {
+      vi.spyOn(globalThis, 'fetch').mockResolvedValue(loginPage({
+        redirected: true,
+        headers: new Headers({ 'Content-Type': 'application/octet-stream' }),
+        blob: () => Promise.resolve({ size: 100000 })
+      }));
+      vi.spyOn(service, 'measureUpload').mockResolvedValue(null);
+
+      const result = await service.measureSpeed();
+
+      expect(result.speedMbps).not.toBeNull();
+      expect(result.failure).toBeNull();
+    });
+
+    it('records an HTML error page as an HTTP error, not a captive portal', async () => {
+      vi.spyOn(globalThis, 'fetch').mockResolvedValue(loginPage({ ok: false, status: 503 }));
+
+      const result = await service.measureSpeed();
+
+      expect(result.connectionType).toBe('no-signal');
+      expect(result.failure).toMatchObject({ reason: 'http-error', httpStatus: 503 });
+    });
+
+    it('classifies 511 Network Authentication Required as a captive portal', async () => {
+      vi.spyOn(globalThis, 'fetch').mockResolvedValue(loginPage({ ok: false, status: 511 }));
+
+      const result = await service.measureSpeed();
+
+      expect(result.connectionType).toBe('captive-portal');
+    });
+
+    it('classifies a body of the wrong length as a captive portal in adaptive mode', async () => {
+      service = new SpeedTestService({ latencyProbeCount: 0, initialBytes: 25000 });
+      vi.spyOn(globalThis, 'fetch').mockResolvedValue(loginPage({
+        headers: new Headers({ 'Content-Type': 'application/octet-stream' })
+      }));
+
+      const result = await service.measureSpeed();
+
+      expect(result.connectionType).toBe('captive-portal');
+      expect(result.speedMbps).toBeNull();
+    });
+
+    it('classifies a test file of the wrong length as a captive portal in fixed mode', async () => {
+      vi.spyOn(globalThis, 'fetch').mockResolvedValue(loginPage({
+        headers: new Headers({ 'Content-Type': 'application/octet-stream' })
+      }));
+
+      const result = await service.measureSpeed();
+
+      expect(result.connectionType).toBe('captive-portal');
+    });
+
+    it('accepts a binary body of the requested length', async () => {
+      service = new SpeedTestService({ latencyProbeCount: 0, initialBytes: 25000 });
+      vi.spyOn(globalThis, 'fetch').mockResolvedValue(loginPage({
+        headers: new Headers({ 'Content-Type': 'application/octet-stream' }),
+        blob: () => Promise.resolve({ size: 25000 })
+      }));
+
+      const round = await service.downloadOnce('https://example.com/down?bytes=25000', 25000, true);
+
+      expect(round.bytes).toBe(25000);
+    });
+  });
+
+  describe('getResourceTiming', () => {
+    const entry = {
+      domainLookupStart: 10,
+      domainLookupEnd: 22,
+      connectStart: 22,
+      secureConnectionStart: 50,
+      connectEnd: 95,
+      requestStart: 95,
+      responseStart: 215,
+      responseEnd: 1715
+    };
+
+    it('breaks the request down into connection phases', () => {
+      const getEntries = vi.spyOn(performance, 'getEntriesByName').mockReturnValue([entry]);
+
+      const timing = service.getResourceTiming('https://example.com/test.js?_t=1');
+
+      expect(getEntries).toHaveBeenCalledWith('https://example.com/test.js?_t=1', 'resource');
+      expect(timing).toEqual({ dnsMs: 12, connectMs: 28, tlsMs: 45, ttfbMs: 120, transferMs: 1500 });
+    });
+
+    it('leaves the resource timing buffer alone', () => {
+      vi.spyOn(performance, 'getEntriesByName').mockReturnValue([entry]);
+      const clear = vi.spyOn(performance, 'clearResourceTimings');
+
+      service.getResourceTiming('https://example.com/test.js?_t=1');
+
+      expect(clear).not.toHaveBeenCalled();
+    });
+
+    it('reports no TLS time for plain HTTP', () => {
+      vi.spyOn(performance, 'getEntriesByName').mockReturnValue([{ ...entry, secureConnectionStart: 0 }]);
+
+      const timing = service.getResourceTiming('http://example.com/test.js');
+
+      expect(timing.connectMs).toBe(73);
+      expect(timing.tlsMs).toBe(0);
+    });
+
+    it('returns null when the timestamps are hidden cross-origin', () => {
+      vi.spyOn(performance, 'getEntriesByName').mockReturnValue([{ ...entry, requestStart: 0 }]);
+      expect(service.getResourceTiming('https://example.com/test.js')).toBeNull();
+    });
+
+    it('returns null when there is no entry', () => {
+      vi.spyOn(performance, 'getEntriesByName').mockReturnValue([]);
+      expect(service.getResourceTiming('https://example.com/test.js')).toBeNull();
+    });
+
+    it('attaches the phases of a completed download round', async () => {
+      const timing = { dnsMs: 0, connectMs: 0, tlsMs: 0, ttfbMs: 80, transferMs: 900 };
+      vi.spyOn(service, 'getResourceTiming').mockReturnValue(timing);
+      vi.spyOn(globalThis, 'fetch').mockResolvedValue({
+        ok: true,
+        blob: () => Promise.resolve({ size: 100000 })
+      });
+      vi.spyOn(service, 'measureUpload').mockResolvedValue(null);
+
+      const result = await service.measureSpeed();
+
+      expect(result.timing).toEqual(timing);
+    });
+  });
+
+  describe('adaptive download', () => {
+    beforeEach(() => {
+      service = new SpeedTestService({
+        testUrl: 'https://example.com/down',
+        latencyProbeCount: 0,
+        initialBytes: 10000,
+        maxBytes: 1000000,
+        targetDuration: 1000
+      });
+    });
+
+    it('grows the payload until a round lasts the target duration', async () => {
+      // 10 KB in 100ms, then 80 KB (capped at 8x) in 400ms, then 200 KB in 1000ms
+      const durations = [100, 400, 1000];
+      const downloadSpy = vi.spyOn(service, 'downloadOnce').mockImplementation((url, bytes) => {
+        const durationMs = durations.shift();
+        return Promise.resolve({ bytes, durationMs, speedMbps: (bytes * 8 / (durationMs / 1000)) / 1000000 });
+      });
+
+      const result = await service.measureDownload();
+
+      expect(downloadSpy.mock.calls.map(([, bytes]) => bytes)).toEqual([10000, 80000, 200000]);
+      expect(result.bytes).toBe(290000);
+      expect(result.speedMbps).toBe(1.6); // from the last, largest round
+    });
+
+    it('stops when the byte budget is spent', async () => {
+      service.maxBytes = 50000;
+      const downloadSpy = vi.spyOn(service, 'downloadOnce').mockImplementation((url, bytes) =>
+        Promise.resolve({ bytes, durationMs: 10, speedMbps: 8 })
+      );
+
+      const result = await service.measureDownload();
+
+      expect(downloadSpy.mock.calls.map(([, bytes]) => bytes)).toEqual([10000, 40000]);
+      expect(result.bytes).toBe(50000);
+    });
+
+    it('keeps earlier rounds when a later round times out', async () => {
+      vi.spyOn(service, 'downloadOnce')
+        .mockResolvedValueOnce({ bytes: 10000, durationMs: 200, speedMbps: 0.4 })
+        .mockRejectedValueOnce(new Error('Aborted'));
+
+      const result = await service.measureDownload();
+
+      expect(result.speedMbps).toBe(0.4);
+      expect(result.bytes).toBe(10000);
+    });
+
+    it('reports no speed when the first round fails', async () => {
+      vi.spyOn(service, 'downloadOnce').mockRejectedValue(new Error('Aborted'));
+
+      const result = await service.measureDownload();
+
+      expect(result.speedMbps).toBeNull();
+      expect(result.bytes).toBe(0);
+    });
+
+    it('requests the payload size through the bytes parameter', () => {
+      expect(service.downloadUrl(25000)).toMatch(/^https:\/\/example\.com\/down\?bytes=25000&_t=\d+$/);
+    });
+
+    it('records bytes transferred and test duration on the result', async () => {
+      vi.spyOn(service, 'measureDownload').mockResolvedValue({ speedMbps: 5, bytes: 300000 });
+      vi.spyOn(service, 'measureUpload').mockResolvedValue(1);
+
+      const result = await service.measureSpeed();
+
+      expect(result.bytesTransferred).toBe(300000 + service.uploadSize);
+      expect(result.testDurationMs).toBeGreaterThanOrEqual(0);
+    });
+
+    it('leaves a failed upload out of the bytes transferred', async () => {
+      vi.spyOn(service, 'measureDownload').mockResolvedValue({ speedMbps: 5, bytes: 300000 });
+      vi.spyOn(service, 'measureUpload').mockResolvedValue(null);
+
+      expect((await service.measureSpeed()).bytesTransferred).toBe(300000);
+    });
+  });
+
+  describe('measureLatency', () => {
+    beforeEach(() => {
+      service = new SpeedTestService({ latencyUrl: 'https://example.com/ping', latencyProbeCount: 5 });
+    });
+
+    it('reports median RTT, jitter and packet loss', async () => {
+      const rtts = [100, null, 120, 110, null];
+      vi.spyOn(service, 'probeLatency').mockImplementation(() => Promise.resolve(rtts.shift()));
+
+      const result = await service.measureLatency();
+
+      expect(result.latencyMs).toBe(110);     // median of 100, 120, 110
+      expect(result.jitterMs).toBe(15);       // (|120-100| + |110-120|) / 2
+      expect(result.packetLoss).toBe(0.4);    // 2 of 5 probes failed
+    });
+
+    it('reports full loss and null RTT when every probe fails', async () => {
+      vi.spyOn(service, 'probeLatency').mockResolvedValue(null);
+
+      const result = await service.measureLatency();
+
+      expect(result.latencyMs).toBeNull();
+      expect(result.jitterMs).toBeNull();
+      expect(result.packetLoss).toBe(1);
+    });
+
+    it('times each probe against the latency URL', async () => {
+      const fetchSpy = vi.spyOn(globalThis, 'fetch').mockResolvedValue({ ok: true });
+      vi.spyOn(performance, 'now')
+        .mockReturnValueOnce(0)
+        .mockReturnValueOnce(42);
+
+      expect(await service.probeLatency()).toBe(42);
+      expect(fetchSpy.mock.calls[0][0]).toMatch(/^https:\/\/example\.com\/ping\?_t=\d+$/);
+    });
+
+    it('counts a failed probe as lost', async () => {
+      vi.spyOn(globalThis, 'fetch').mockRejectedValue(new Error('Network error'));
+      expect(await service.probeLatency()).toBeNull();
+    });
+
+    it('keeps latency results when the download fails', async () => {
+      vi.spyOn(service, 'measureLatency').mockResolvedValue({ latencyMs: null, jitterMs: null, packetLoss: 1 });
+      vi.spyOn(globalThis, 'fetch').mockRejectedValue(new Error('Network error'));
+
+      const result = await service.measureSpeed();
+
+      expect(result.connectionType).toBe('no-signal');
+      expect(result.packetLoss).toBe(1);
+    });
+  });
+
+  describe('measureLatencyOnly', () => {
+    it('runs only the latency probes and transfers no payload', async () => {
+      vi.spyOn(service, 'measureLatency').mockResolvedValue({ latencyMs: 80, jitterMs: 5, packetLoss: 0 });
+      const downloadSpy = vi.spyOn(service, 'measureDownload');
+      const uploadSpy = vi.spyOn(service, 'measureUpload');
+
+      const result = await service.measureLatencyOnly();
+
+      expect(downloadSpy).not.toHaveBeenCalled();
+      expect(uploadSpy).not.toHaveBeenCalled();
+      expect(result.testMode).toBe('latency-only');
+      expect(result.speedMbps).toBeNull();
+      expect(result.latencyMs).toBe(80);
+      expect(result.bytesTransferred).toBe(0);
+      expect(result.connectionType).toBe('unknown');
+    });
+
+    it('counts the estimated overhead of each probe', async () => {
+      service = new SpeedTestService({ latencyProbeCount: 5, requestBytes: 400 });
+      vi.spyOn(service, 'measureLatency').mockResolvedValue({ latencyMs: 80, jitterMs: 5, packetLoss: 0 });
+
+      expect((await service.measureLatencyOnly()).bytesTransferred).toBe(2000);
+    });
+
+    it('returns no-signal when every probe fails', async () => {
+      vi.spyOn(service, 'measureLatency').mockResolvedValue({ latencyMs: null, jitterMs: null, packetLoss: 1 });
+
+      const result = await service.measureLatencyOnly();
+
+      expect(result.connectionType).toBe('no-signal');
+      expect(result.testMode).toBe('latency-only');
+    });
+
+    it('skips the probes when offline', async () => {
+      navigator.onLine = false;
+      const latencySpy = vi.spyOn(service, 'measureLatency');
+
+      const result = await service.measureLatencyOnly();
+
+      expect(latencySpy).not.toHaveBeenCalled();
+      expect(result.connectionType).toBe('disconnected');
+    });
+  });
+
+  describe('measureUpload', () => {
+    it('POSTs a payload of the configured size and calculates upload speed', async () => {
+      service = new SpeedTestService({ uploadUrl: 'https://example.com/up', uploadSize: 50000 });
+      const fetchSpy = vi.spyOn(globalThis, 'fetch').mockResolvedValue({ ok: true });
+
+      vi.spyOn(performance, 'now')
+        .mockReturnValueOnce(0)    // startTime
+        .mockReturnValueOnce(500); // endTime (half a second later)
+
+      const uploadMbps = await service.measureUpload();
+
+      expect(uploadMbps).toBe(0.8); // 50000 bytes * 8 bits / 0.5 second / 1000000
+      const [url, init] = fetchSpy.mock.calls[0];
+      expect(url).toBe('https://example.com/up');
+      expect(init.method).toBe('POST');
+      expect(init.body.byteLength).toBe(50000);
+    });
+
+    it('returns null when the upload fails', async () => {
+      vi.spyOn(globalThis, 'fetch').mockRejectedValue(new Error('Network error'));
+      expect(await service.measureUpload()).toBeNull();
+    });
+
+    it('returns null on HTTP errors', async () => {
+      vi.spyOn(globalThis, 'fetch').mockResolvedValue({ ok: false, status: 405 });
+      expect(await service.measureUpload()).toBeNull();
+    });
+  });
+
+  describe('measureSpeed upload', () => {
+    it('includes the upload result after a successful download', async () => {
+      vi.spyOn(globalThis, 'fetch').mockResolvedValue({
+        ok: true,
+        blob: () => Promise.resolve({ size: 100000 })
+      });
+      vi.spyOn(service, 'measureUpload').mockResolvedValue(2.5);
+
+      const result = await service.measureSpeed();
+
+      expect(result.uploadMbps).toBe(2.5);
+    });
+
+    it('keeps the download result when only the upload fails', async () => {
+      vi.spyOn(globalThis, 'fetch').mockResolvedValue({
+        ok: true,
+        blob: () => Promise.resolve({ size: 100000 })
+      });
+      vi.spyOn(service, 'measureUpload').mockResolvedValue(null);
+
+      const result = await service.measureSpeed();
+
+      expect(result.speedMbps).not.toBeNull();
+      expect(result.uploadMbps).toBeNull();
+      expect(result.connectionType).toBe('unknown');
+    });
+
+    it('skips the upload when the download fails', async () => {
+      vi.spyOn(globalThis, 'fetch').mockRejectedValue(new Error('Network error'));
+      const uploadSpy = vi.spyOn(service, 'measureUpload');
+
+      const result = await service.measureSpeed();
+
+      expect(uploadSpy).not.toHaveBeenCalled();
+      expect(result.uploadMbps).toBeNull();
+    });
+  });
+
+  describe('comparison endpoints', () => {
+    const endpoints = [
+      { name: 'Origin', url: 'https://example.com/down' },
+      { name: 'CDN', url: 'https://cdn.example.com/file.js' }
+    ];
+    const round = (speedMbps, bytes) => ({ speedMbps, bytes, durationMs: 100, partial: false, timing: null });
+
+    it('tests every endpoint in parallel mode', async () => {
+      service = new SpeedTestService({ endpoints });
+      const downloadSpy = vi.spyOn(service, 'downloadOnce')
+        .mockResolvedValueOnce(round(8, 100000))
+        .mockRejectedValueOnce(new Error('Network error'));
+
+      const result = await service.measureEndpoints();
+
+      expect(downloadSpy.mock.calls[0][0]).toMatch(/^https:\/\/example\.com\/down\?_t=\d+$/);
+      expect(downloadSpy.mock.calls[1][0]).toMatch(/^https:\/\/cdn\.example\.com\/file\.js\?_t=\d+$/);
+      expect(result.results).toEqual([
+        { name: 'Origin', speedMbps: 8, partial: false },
+        { name: 'CDN', speedMbps: null, partial: false }
+      ]);
+      expect(result.bytes).toBe(100000);
+    });
+
+    it('lets a point tell one endpoint failing from the connection failing', async () => {
+      service = new SpeedTestService({ endpoints });
+      vi.spyOn(service, 'downloadOnce')
+        .mockResolvedValueOnce(round(8, 100000))
+        .mockRejectedValueOnce(new Error('Network error'));
+
+      const { results } = await service.measureEndpoints();
+      const dataPoint = new DataPoint({ timestamp: Date.now(), latitude: null, longitude: null, accuracy: null, speedMbps: 8, connectionType: 'cellular', endpoints: results });
+
+      expect(dataPoint.getEndpointStatus()).toBe('some-down');
+    });
+
+    it('tests one endpoint per measurement in rotate mode', async () => {
+      service = new SpeedTestService({ endpoints, endpointMode: 'rotate' });
+      const downloadSpy = vi.spyOn(service, 'downloadOnce').mockResolvedValue(round(5, 1000));
+
+      const first = await service.measureEndpoints();
+      const second = await service.measureEndpoints();
+      const third = await service.measureEndpoints();
+
+      expect(downloadSpy).toHaveBeenCalledTimes(3);
+      expect(first.results.map(r => r.name)).toEqual(['Origin']);
+      expect(second.results.map(r => r.name)).toEqual(['CDN']);
+      expect(third.results.map(r => r.name)).toEqual(['Origin']);
+    });
+
+    it('fails an endpoint whose body is not the size it declares', async () => {
+      service = new SpeedTestService({ endpoints: [{ name: 'CDN', url: 'https://cdn.example.com/file.js', bytes: 50000 }] });
+      vi.spyOn(globalThis, 'fetch').mockResolvedValue({
+        ok: true,
+        status: 200,
+        headers: new Headers({ 'Content-Type': 'application/javascript' }),
+        blob: () => Promise.resolve({ size: 1200 })
+      });
+
+      const result = await service.measureEndpoints();
+
+      expect(result.results).toEqual([{ name: 'CDN', speedMbps: null, partial: false }]);
+    });
+
+    it('returns null results when no endpoints are configured', async () => {
+      expect(await service.measureEndpoints()).toEqual({ results: null, bytes: 0 });
+    });
+
+    it('records endpoint results and bytes on the measurement', async () => {
+      vi.spyOn(service, 'measureDownload').mockResolvedValue({ speedMbps: 5, bytes: 300000, partial: false, timing: null });
+      vi.spyOn(service, 'measureEndpoints').mockResolvedValue({
+        results: [{ name: 'CDN', speedMbps: 4, partial: false }],
+        bytes: 90000
+      });
+      vi.spyOn(service, 'measureUpload').mockResolvedValue(1);
+
+      const result = await service.measureSpeed();
+
+      expect(result.endpoints).toEqual([{ name: 'CDN', speedMbps: 4, partial: false }]);
+      expect(result.bytesTransferred).toBe(300000 + 90000 + service.uploadSize);
+    });
+
+    it('still tests the endpoints when the main download fails', async () => {
+      vi.spyOn(service, 'measureDownload').mockResolvedValue({ speedMbps: null, bytes: 0, partial: false, timing: null });
+      vi.spyOn(service, 'measureEndpoints').mockResolvedValue({
+        results: [{ name: 'CDN', speedMbps: 4, partial: false }],
+        bytes: 90000
+      });
+
+      const result = await service.measureSpeed();
+
+      expect(result.connectionType).toBe('no-signal');
+      expect(result.endpoints).toEqual([{ name: 'CDN', speedMbps: 4, partial: false }]);
+    });
+
+    it('skips the endpoints behind a captive portal', async () => {
+      vi.spyOn(service, 'measureDownload').mockResolvedValue({ speedMbps: null, bytes: 0, partial: false, timing: null, captivePortal: true });
+      const endpointsSpy = vi.spyOn(service, 'measureEndpoints');
+
+      const result = await service.measureSpeed();
+
+      expect(endpointsSpy).not.toHaveBeenCalled();
+      expect(result.endpoints).toBeNull();
+    });
+  });
+
+  describe('sustained mode', () => {
+    const sustained = { streams: 4, peakMbps: 24, meanMbps: 18.5, samples: [12, 20, 24, 18] };
+
+    it('records the mean as the speed and keeps the per-second samples', async () => {
+      vi.spyOn(service, 'runSustainedWindow').mockResolvedValue({ sustained, bytes: 9250000, captivePortal: false });
+      vi.spyOn(service, 'measureUpload').mockResolvedValue(2);
+
+      const result = await service.measureSustained();
+
+      expect(result.testMode).toBe('sustained');
+      expect(result.speedMbps).toBe(18.5);
+      expect(result.sustained).toEqual(sustained);
+      expect(result.uploadMbps).toBe(2);
+      expect(result.bytesTransferred).toBe(9250000 + service.uploadSize);
+      expect(result.connectionType).toBe('unknown');
+    });
+
+    it('leaves a failed upload out of the bytes transferred', async () => {
+      vi.spyOn(service, 'runSustainedWindow').mockResolvedValue({ sustained, bytes: 9250000, captivePortal: false });
+      vi.spyOn(service, 'measureUpload').mockResolvedValue(null);
+
+      expect((await service.measureSustained()).bytesTransferred).toBe(9250000);
+    });
+
+    it('returns no-signal when nothing arrived in the window', async () => {
+      vi.spyOn(service, 'runSustainedWindow').mockResolvedValue({ sustained, bytes: 0, captivePortal: false });
+
+      const result = await service.measureSustained();
+
+      expect(result.speedMbps).toBeNull();
+      expect(result.sustained).toBeNull();
+      expect(result.connectionType).toBe('no-signal');
+    });
+
+    it('returns captive-portal when a stream was intercepted', async () => {
+      vi.spyOn(service, 'runSustainedWindow').mockResolvedValue({ sustained, bytes: 5000, captivePortal: true });
+
+      const result = await service.measureSustained();
+
+      expect(result.connectionType).toBe('captive-portal');
+    });
+
+    it('buckets bytes from all streams by second', async () => {
+      service = new SpeedTestService({ sustainedStreams: 2, sustainedDuration: 3000 });
+      let now = 0;
+      vi.spyOn(performance, 'now').mockImplementation(() => now);
+      const streamSpy = vi.spyOn(service, 'runSustainedStream').mockImplementation(async (signal, onBytes) => {
+        now = 500;
+        onBytes(125000);
+        now = 1500;
+        onBytes(250000);
+        now = 2500;
+        onBytes(125000);
+        now = 3100;
+        onBytes(1000000); // after the window
+      });
+
+      const result = await service.runSustainedWindow();
+
+      expect(streamSpy).toHaveBeenCalledTimes(2);
+      expect(result.bytes).toBe(1000000);
+      expect(result.sustained).toEqual({
+        streams: 2,
+        samples: [2, 4, 2],  // 250000, 500000 and 250000 bytes per second
+        peakMbps: 4,
+        meanMbps: 2.67
+      });
+      expect(result.captivePortal).toBe(false);
+    });
+
+    it('flags a captive portal from any stream', async () => {
+      service = new SpeedTestService({ sustainedStreams: 2, sustainedDuration: 1000 });
+      vi.spyOn(service, 'runSustainedStream').mockRejectedValue(service.captivePortalError());
+
+      const result = await service.runSustainedWindow();
+
+      expect(result.captivePortal).toBe(true);
+    });
+
+    it('downloads back to back until the window is aborted', async () => {
+      const controller = new AbortController();
+      let requests = 0;
+      const fetchSpy = vi.spyOn(globalThis, 'fetch').mockImplementation(() => {
+        requests++;
+        const chunks = [1000, 2000];
+        return Promise.resolve({
+          ok: true,
+          body: {
+            getReader: () => ({
+              read: () => {
+                if (chunks.length > 0) {
+                  return Promise.resolve({ done: false, value: new Uint8Array(chunks.shift()) });
+                }
+                if (requests === 2) {
+                  controller.abort();
+                }
+                return Promise.resolve({ done: true });
+              }
+            })
+          }
+        });
+      });
+      const onBytes = vi.fn();
+
+      await service.runSustainedStream(controller.signal, onBytes);
+
+      expect(fetchSpy).toHaveBeenCalledTimes(2);
+      expect(fetchSpy.mock.calls[0][0]).toMatch(/[?&]bytes=25000000(&|$)/);
+      expect(onBytes.mock.calls.map(([bytes]) => bytes)).toEqual([1000, 2000, 1000, 2000]);
+    });
+
+    it('ends a stream quietly on an HTTP error', async () => {
+      vi.spyOn(globalThis, 'fetch').mockResolvedValue({ ok: false, status: 503 });
+
+      await expect(service.runSustainedStream(new AbortController().signal, vi.fn())).resolves.toBeUndefined();
+    });
+
+    it('reports the error that ended a stream early', async () => {
+      vi.spyOn(globalThis, 'fetch').mockResolvedValue({ ok: false, status: 503 });
+      const onFailure = vi.fn();
+
+      await service.runSustainedStream(new AbortController().signal, vi.fn(), onFailure);
+
+      expect(onFailure).toHaveBeenCalledWith(expect.objectContaining({ code: 'http-error', status: 503 }));
+    });
+
+    it('explains an empty window with the first stream failure', async () => {
+      service = new SpeedTestService({ sustainedStreams: 2, sustainedDuration: 1000 });
+      vi.spyOn(globalThis, 'fetch').mockResolvedValue({ ok: false, status: 503 });
+
+      const result = await service.runSustainedWindow();
+
+      expect(result.bytes).toBe(0);
+      expect(result.failure).toMatchObject({ reason: 'http-error', httpStatus: 503 });
+    });
+
+    it('rejects when a captive portal answers', async () => {
+      vi.spyOn(globalThis, 'fetch').mockResolvedValue({
+        ok: true,
+        status: 200,
+        headers: new Headers({ 'Content-Type': 'text/html' })
+      });
+
+      await expect(service.runSustainedStream(new AbortController().signal, vi.fn()))
+        .rejects.toMatchObject({ code: 'captive-portal' });
+    });
+  });
+
   describe('measureSpeedAverage', () => {
     it('returns average of multiple measurements', async () => {
       let callCount = 0;
@@ -141,6 +1025,7 @@ describe('SpeedTestService', () => {
         callCount++;
         return Promise.resolve({
           speedMbps: callCount * 10, // 10, 20, 30
+          uploadMbps: callCount,     // 1, 2, 3
           connectionType: 'unknown'
         });
       });
@@ -148,6 +1033,7 @@ describe('SpeedTestService', () => {
       const result = await service.measureSpeedAverage(3);
 
       expect(result.speedMbps).toBe(20); // (10 + 20 + 30) / 3
+      expect(result.uploadMbps).toBe(2); // (1 + 2 + 3) / 3
     });
 
     it('handles all measurements failing', async () => {
@@ -173,5 +1059,27 @@ describe('SpeedTestService', () => {
       expect(result.speedMbps).toBeNull();
       expect(result.connectionType).toBe('disconnected');
     });
+
+    it('only reports a failure when every run failed', async () => {
+      const timeout = { reason: 'timeout', httpStatus: null, bytesReceived: 0, durationMs: 5000 };
+      const failed = { speedMbps: null, failure: timeout, connectionType: 'no-signal' };
+      vi.spyOn(service, 'measureSpeed')
+        .mockResolvedValueOnce({ speedMbps: 12, failure: null, connectionType: 'unknown' })
+        .mockResolvedValueOnce(failed)
+        .mockResolvedValueOnce(failed)
+        .mockResolvedValueOnce(failed);
+
+      expect(await service.measureSpeedAverage(2)).toMatchObject({ speedMbps: 12, failure: null });
+      expect(await service.measureSpeedAverage(2)).toMatchObject({ speedMbps: null, failure: timeout });
+    });
+
+    it('returns the same fields as measureSpeed', async () => {
+      Object.defineProperty(navigator, 'onLine', { value: false });
+      const single = await service.measureSpeed();
+      const average = await service.measureSpeedAverage(2);
+
+      expect(Object.keys(average).sort()).toEqual(Object.keys(single).sort());
+      expect(average.sustained).toBeNull();
+    });
   });
 });
@@ -6,14 +6,14 @@ import { Journey } from '../../js/models/Journey.js';
 const mockIndexedDB = () => {
   const stores = {};
 
-  const createMockStore = (name) => {
+  const createMockStore = (name, keyPath = 'id') => {
     const data = new Map();
 
     return {
       put: (value) => {
         const request = createMockRequest();
         setTimeout(() => {
-          data.set(value.id, value);
+          data.set(value[keyPath], value);
           request.onsuccess?.();
         }, 0);
         return request;
@@ -84,8 +84,8 @@ const mockIndexedDB = () => {
 
   const mockDB = {
     objectStoreNames: { contains: (name) => !!stores[name] },
-    createObjectStore: (name) => {
-      stores[name] = createMockStore(name);
+    createObjectStore: (name, options) => {
+      stores[name] = createMockStore(name, options?.keyPath);
       return stores[name];
     },
     transaction: (storeNames) => ({
@@ -199,6 +199,26 @@ describe('StorageService', () => {
     });
   });
 
+  describe('data usage', () => {
+    it('returns 0 for a month without usage', async () => {
+      expect(await service.getDataUsage()).toBe(0);
+    });
+
+    it('accumulates bytes per calendar month', async () => {
+      const october = new Date(2026, 9, 5).getTime();
+      const lateOctober = new Date(2026, 9, 31, 23, 0).getTime();
+      const november = new Date(2026, 10, 1).getTime();
+
+      await service.addDataUsage(1000, october);
+      const total = await service.addDataUsage(500, lateOctober);
+      await service.addDataUsage(200, november);
+
+      expect(total).toBe(1500);
+      expect(await service.getDataUsage(october)).toBe(1500);
+      expect(await service.getDataUsage(november)).toBe(200);
+    });
+  });
+
   describe('exportJourney', () => {
     it('creates a download link', () => {
       // Mock URL methods (not available in jsdom)
@@ -235,6 +255,34 @@ describe('StorageService', () => {
     });
   });
 
+  describe('exportJourney route', () => {
+    const { createObjectURL, revokeObjectURL } = URL;
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+      URL.createObjectURL = createObjectURL;
+      URL.revokeObjectURL = revokeObjectURL;
+    });
+
+    it('adds the distances along the route', async () => {
+      const stringifySpy = vi.spyOn(JSON, 'stringify');
+      URL.createObjectURL = vi.fn().mockReturnValue('blob:test-url');
+      URL.revokeObjectURL = vi.fn();
+      const anchor = { href: '', download: '', click: vi.fn() };
+      vi.spyOn(document, 'createElement').mockReturnValue(anchor);
+      vi.spyOn(document.body, 'appendChild').mockImplementation(() => {});
+      vi.spyOn(document.body, 'removeChild').mockImplementation(() => {});
+
+      const journey = Journey.create('Test Journey');
+      const point = { timestamp: Date.now(), accuracy: 10, speedMbps: 5, connectionType: 'cellular' };
+      journey.addDataPoint({ ...point, latitude: 0, longitude: 0 });
+      journey.addDataPoint({ ...point, latitude: 0.01, longitude: 0 });
+      await service.exportJourney(journey);
+
+      expect(stringifySpy.mock.calls[0][0].route).toEqual({ distance: 1112, pointDistances: [0, 1112] });
+    });
+  });
+
   describe('importJourney', () => {
     it('imports a valid journey file', async () => {
       const journeyData = {
@@ -0,0 +1,125 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { WorkerSpeedTestService } from '../../js/services/WorkerSpeedTestService.js';
+
+const RESULT = { speedMbps: 12.5, uploadMbps: 3, connectionType: 'wifi' };
+
+/**
+ * Stand-in for a module worker: records messages and lets tests reply.
+ */
+class FakeWorker {
+  constructor(url, options) {
+    this.url = url;
+    this.options = options;
+    this.messages = [];
+    this.terminated = false;
+    FakeWorker.last = this;
+  }
+
+  postMessage(data) {
+    this.messages.push(data);
+  }
+
+  reply(data) {
+    this.onmessage({ data });
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+describe('WorkerSpeedTestService', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  // jsdom has no Worker, so this exercises the main-thread fallback
+  it('measures on the main thread when workers are unavailable', async () => {
+    const service = new WorkerSpeedTestService({ latencyProbeCount: 0 });
+    const spy = vi.spyOn(service.fallback, 'measureSpeed').mockResolvedValue(RESULT);
+
+    expect(service.isUsingWorker()).toBe(false);
+    expect(await service.measureSpeed()).toEqual(RESULT);
+    expect(spy).toHaveBeenCalled();
+  });
+
+  it('starts a module worker and passes it the options', () => {
+    vi.stubGlobal('Worker', FakeWorker);
+    const options = { testUrl: '/api/speedtest/down', timeout: 5000 };
+
+    const service = new WorkerSpeedTestService(options);
+
+    expect(service.isUsingWorker()).toBe(true);
+    expect(FakeWorker.last.url.pathname).toMatch(/\/js\/workers\/speedTestWorker\.js$/);
+    expect(FakeWorker.last.options).toEqual({ type: 'module' });
+    expect(FakeWorker.last.messages[0]).toEqual({ command: 'init', options });
+  });
+
+  it('resolves with the result the worker sends back', async () => {
+    vi.stubGlobal('Worker', FakeWorker);
+    const service = new WorkerSpeedTestService();
+
+    const promise = service.measureLatencyOnly();
+    const request = FakeWorker.last.messages[1];
+    expect(request).toMatchObject({ command: 'run', method: 'measureLatencyOnly', args: [] });
+
+    FakeWorker.last.reply({ id: request.id, result: RESULT });
+    expect(await promise).toEqual(RESULT);
+  });
+
+  it('matches replies to requests by id', async () => {
+    vi.stubGlobal('Worker', FakeWorker);
+    const service = new WorkerSpeedTestService();
+
+    const first = service.measureSpeed();
+    const second = service.measureSpeedAverage(2);
+    const [, firstRequest, secondRequest] = FakeWorker.last.messages;
+    expect(secondRequest.args).toEqual([2]);
+
+    FakeWorker.last.reply({ id: secondRequest.id, result: { speedMbps: 2 } });
+    FakeWorker.last.reply({ id: firstRequest.id, result: { speedMbps: 1 } });
+
+    expect(await first).toEqual({ speedMbps: 1 });
+    expect(await second).toEqual({ speedMbps: 2 });
+  });
+
+  it('rejects when the measurement throws in the worker', async () => {
+    vi.stubGlobal('Worker', FakeWorker);
+    const service = new WorkerSpeedTestService();
+
+    const promise = service.measureSpeed();
+    FakeWorker.last.reply({ id: FakeWorker.last.messages[1].id, error: 'boom' });
+
+    await expect(promise).rejects.toThrow('boom');
+  });
+
+  it('reruns outstanding measurements on the main thread when the worker fails', async () => {
+    vi.stubGlobal('Worker', FakeWorker);
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const service = new WorkerSpeedTestService();
+    const spy = vi.spyOn(service.fallback, 'measureSpeed').mockResolvedValue(RESULT);
+    const worker = FakeWorker.last;
+
+    const promise = service.measureSpeed();
+    worker.onerror({ message: 'Failed to load module script' });
+
+    expect(await promise).toEqual(RESULT);
+    expect(worker.terminated).toBe(true);
+    expect(service.isUsingWorker()).toBe(false);
+
+    await service.measureSpeed();
+    expect(spy).toHaveBeenCalledTimes(2);
+  });
+
+  it('falls back when the worker cannot be constructed', () => {
+    vi.stubGlobal('Worker', class {
+      constructor() {
+        throw new TypeError('Module scripts are not supported');
+      }
+    });
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(new WorkerSpeedTestService().isUsingWorker()).toBe(false);
+  });
+});
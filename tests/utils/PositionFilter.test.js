@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import { PositionFilter } from '../../js/utils/PositionFilter.js';
+import { haversineDistance, offsetPosition } from '../../js/utils/geo.js';
+
+describe('PositionFilter', () => {
+  const start = { latitude: 51.5, longitude: -0.12 };
+  // A fix `meters` east of the start, `seconds` into the journey
+  const fix = (meters, seconds, overrides = {}) => ({
+    ...offsetPosition(start.latitude, start.longitude, meters, 90),
+    accuracy: 10,
+    altitude: null,
+    altitudeAccuracy: null,
+    heading: null,
+    speed: null,
+    timestamp: 1000000 + seconds * 1000,
+    ...overrides
+  });
+
+  it('passes the first fix through and keeps it as raw', () => {
+    const filter = new PositionFilter();
+    const result = filter.update(fix(0, 0));
+
+    expect(result.latitude).toBe(start.latitude);
+    expect(result.longitude).toBe(start.longitude);
+    expect(result.raw).toEqual({ latitude: start.latitude, longitude: start.longitude, accuracy: 10 });
+  });
+
+  it('pulls noisy fixes towards the estimate', () => {
+    const filter = new PositionFilter();
+    filter.update(fix(0, 0));
+    const result = filter.update(fix(20, 1));
+
+    const smoothedMove = haversineDistance(start.latitude, start.longitude, result.latitude, result.longitude);
+    expect(smoothedMove).toBeGreaterThan(0);
+    expect(smoothedMove).toBeLessThan(20);
+    expect(result.smoothedAccuracy).toBeLessThan(10);
+    expect(result.accuracy).toBe(10);
+    expect(result.raw.longitude).toBeCloseTo(fix(20, 1).longitude, 9);
+  });
+
+  it('grows the uncertainty by processNoise meters per second between fixes', () => {
+    const filter = new PositionFilter({ processNoise: 3 });
+    filter.update(fix(0, 0));
+    filter.predict(fix(0, 10).timestamp);
+
+    expect(filter.state.variance).toBe(10 ** 2 + (10 * 3) ** 2);
+  });
+
+  it('follows a moving train using the reported speed and heading', () => {
+    const filter = new PositionFilter();
+    const moving = { speed: 40, heading: 90 };
+    filter.update(fix(0, 0, moving));
+    const result = filter.update(fix(400, 10, moving));
+
+    const error = haversineDistance(result.latitude, result.longitude, result.raw.latitude, result.raw.longitude);
+    expect(error).toBeLessThan(1);
+  });
+
+  it('rejects fixes implying an impossible speed', () => {
+    const filter = new PositionFilter({ maxSpeed: 100 });
+    filter.update(fix(0, 0));
+
+    expect(filter.update(fix(800, 1))).toBeNull();
+    expect(filter.update(fix(30, 2))).not.toBeNull();
+  });
+
+  it('allows long jumps after a long gap, e.g. a tunnel', () => {
+    const filter = new PositionFilter({ maxSpeed: 100 });
+    filter.update(fix(0, 0));
+
+    expect(filter.update(fix(3000, 60))).not.toBeNull();
+  });
+
+  it('starts over when fixes keep disagreeing with it', () => {
+    const filter = new PositionFilter({ maxSpeed: 100, maxRejections: 2 });
+    filter.update(fix(0, 0));
+
+    expect(filter.update(fix(5000, 1))).toBeNull();
+    expect(filter.update(fix(5000, 2))).toBeNull();
+    const result = filter.update(fix(5000, 3));
+    expect(result.longitude).toBe(fix(5000, 3).longitude);
+  });
+
+  it('forgets previous fixes on reset', () => {
+    const filter = new PositionFilter();
+    filter.update(fix(0, 0));
+    filter.reset();
+
+    expect(filter.update(fix(5000, 1)).longitude).toBe(fix(5000, 1).longitude);
+  });
+});
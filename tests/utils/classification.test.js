@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import { classify, meetsLimits, hasMeasurements, getProfile, describeLimits, getLegendLabels, DEFAULT_PROFILE } from '../../js/utils/classification.js';
+import { Config } from '../../js/Config.js';
+
+describe('classification', () => {
+  const videoCall = getProfile('video-call');
+
+  describe('getProfile', () => {
+    it('finds profiles by id', () => {
+      expect(getProfile('streaming').name).toBe('Streaming');
+    });
+
+    it('falls back to the first profile', () => {
+      expect(getProfile(null)).toBe(Config.qualityProfiles[0]);
+      expect(getProfile('removed')).toBe(DEFAULT_PROFILE);
+      expect(DEFAULT_PROFILE.id).toBe('browsing');
+    });
+  });
+
+  describe('meetsLimits', () => {
+    it('checks floors and ceilings', () => {
+      const limits = { minDownloadMbps: 5, maxLatencyMs: 300 };
+      expect(meetsLimits({ speedMbps: 5, latencyMs: 300 }, limits)).toBe(true);
+      expect(meetsLimits({ speedMbps: 4.9, latencyMs: 50 }, limits)).toBe(false);
+      expect(meetsLimits({ speedMbps: 50, latencyMs: 301 }, limits)).toBe(false);
+    });
+
+    it('ignores measurements that were not taken', () => {
+      expect(meetsLimits({ speedMbps: 5, latencyMs: null }, { minDownloadMbps: 5, maxLatencyMs: 300 })).toBe(true);
+      expect(meetsLimits({ speedMbps: 5 }, { minUploadMbps: 1 })).toBe(true);
+    });
+
+    it('reports whether every limited measurement was taken', () => {
+      expect(hasMeasurements({ speedMbps: 5, latencyMs: 40 }, { minDownloadMbps: 5, maxLatencyMs: 300 })).toBe(true);
+      expect(hasMeasurements({ speedMbps: 5, latencyMs: null }, { minDownloadMbps: 5, maxLatencyMs: 300 })).toBe(false);
+    });
+
+    it('throws on unknown limits', () => {
+      expect(() => meetsLimits({ speedMbps: 5 }, { minSpeed: 5 })).toThrow('Unknown quality limit: minSpeed');
+    });
+  });
+
+  describe('classify', () => {
+    it('uses the browsing profile by default', () => {
+      expect(classify({ speedMbps: 5 })).toBe('good');
+      expect(classify({ speedMbps: 1 })).toBe('moderate');
+      expect(classify({ speedMbps: 0.9 })).toBe('poor');
+      expect(classify({ speedMbps: 20, latencyMs: 500 })).toBe('moderate');
+    });
+
+    it('applies every limit of a profile', () => {
+      const metrics = { speedMbps: 20, uploadMbps: 5, latencyMs: 40, jitterMs: 5, packetLoss: 0 };
+      expect(classify(metrics, videoCall)).toBe('good');
+      expect(classify({ ...metrics, uploadMbps: 1 }, videoCall)).toBe('moderate');
+      expect(classify({ ...metrics, packetLoss: 0.04 }, videoCall)).toBe('moderate');
+      expect(classify({ ...metrics, jitterMs: 80 }, videoCall)).toBe('poor');
+    });
+  });
+
+  describe('legend', () => {
+    it('describes the limits of a tier', () => {
+      expect(describeLimits({ minDownloadMbps: 5, maxLatencyMs: 300 })).toBe('≥5 Mbps, ≤300 ms');
+      expect(describeLimits({ minUploadMbps: 0.5, maxPacketLoss: 0.05 }, true)).toBe('↑ <0.5 Mbps or loss >5%');
+    });
+
+    it('labels each quality level of a profile', () => {
+      expect(getLegendLabels(DEFAULT_PROFILE)).toEqual({
+        good: '≥5 Mbps, ≤300 ms',
+        moderate: '≥1 Mbps, ≤1000 ms',
+        poor: '<1 Mbps or >1000 ms'
+      });
+    });
+  });
+});
@@ -0,0 +1,27 @@
+import { describe, it, expect } from 'vitest';
+import { getBudgetMode } from '../../js/utils/dataBudget.js';
+
+describe('getBudgetMode', () => {
+  const thresholds = { reduceAt: 0.75, latencyOnlyAt: 0.9 };
+  const cap = 1000;
+
+  it('measures fully without a cap', () => {
+    expect(getBudgetMode(5000, null, thresholds)).toBe('full');
+    expect(getBudgetMode(5000, 0, thresholds)).toBe('full');
+  });
+
+  it('measures fully well below the cap', () => {
+    expect(getBudgetMode(0, cap, thresholds)).toBe('full');
+    expect(getBudgetMode(749, cap, thresholds)).toBe('full');
+  });
+
+  it('reduces frequency as the cap gets close', () => {
+    expect(getBudgetMode(750, cap, thresholds)).toBe('reduced');
+    expect(getBudgetMode(899, cap, thresholds)).toBe('reduced');
+  });
+
+  it('switches to latency-only probes near and past the cap', () => {
+    expect(getBudgetMode(900, cap, thresholds)).toBe('latency-only');
+    expect(getBudgetMode(2000, cap, thresholds)).toBe('latency-only');
+  });
+});
@@ -0,0 +1,36 @@
+import { describe, it, expect } from 'vitest';
+import { haversineDistance, offsetPosition, bearing } from '../../js/utils/geo.js';
+
+describe('geo', () => {
+  describe('haversineDistance', () => {
+    it('is zero for the same point', () => {
+      expect(haversineDistance(51.5, -0.12, 51.5, -0.12)).toBe(0);
+    });
+
+    it('measures one degree of latitude as about 111 km', () => {
+      expect(haversineDistance(0, 0, 1, 0)).toBeCloseTo(111195, -1);
+    });
+
+    it('measures London to Paris as about 344 km', () => {
+      expect(haversineDistance(51.5074, -0.1278, 48.8566, 2.3522) / 1000).toBeCloseTo(343.5, 0);
+    });
+  });
+
+  describe('offsetPosition', () => {
+    it('moves the given distance along the heading', () => {
+      const moved = offsetPosition(51.5, -0.12, 100, 90);
+      expect(moved.latitude).toBeCloseTo(51.5, 6);
+      expect(moved.longitude).toBeGreaterThan(-0.12);
+      expect(haversineDistance(51.5, -0.12, moved.latitude, moved.longitude)).toBeCloseTo(100, 0);
+    });
+  });
+
+  describe('bearing', () => {
+    it('gives compass directions', () => {
+      expect(bearing(0, 0, 1, 0)).toBeCloseTo(0);
+      expect(bearing(0, 0, 0, 1)).toBeCloseTo(90);
+      expect(bearing(1, 0, 0, 0)).toBeCloseTo(180);
+      expect(bearing(0, 1, 0, 0)).toBeCloseTo(270);
+    });
+  });
+});
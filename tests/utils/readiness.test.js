@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { getReadiness, getReadinessScores } from '../../js/utils/readiness.js';
+import { DataPoint } from '../../js/models/DataPoint.js';
+import { Config } from '../../js/Config.js';
+
+describe('readiness', () => {
+  const point = (overrides) => new DataPoint({
+    timestamp: Date.now(),
+    latitude: 37.7749,
+    longitude: -122.4194,
+    accuracy: 10,
+    speedMbps: 20,
+    uploadMbps: 5,
+    latencyMs: 40,
+    jitterMs: 5,
+    packetLoss: 0,
+    connectionType: 'cellular',
+    ...overrides
+  });
+  const useCase = (id) => Config.useCases.find(uc => uc.id === id);
+
+  describe('getReadiness', () => {
+    it('grades a point against the use case tiers', () => {
+      expect(getReadiness(point(), useCase('video-call'))).toBe('ready');
+      expect(getReadiness(point({ latencyMs: 250 }), useCase('video-call'))).toBe('limited');
+      expect(getReadiness(point({ uploadMbps: 0.2 }), useCase('video-call'))).toBe('unusable');
+    });
+
+    it('marks unreachable points unusable for everything', () => {
+      const offline = point({ speedMbps: null, uploadMbps: null, latencyMs: null, jitterMs: null, packetLoss: 1, connectionType: 'no-signal' });
+      Config.useCases.forEach(uc => {
+        expect(getReadiness(offline, uc)).toBe('unusable');
+      });
+    });
+
+    it('judges latency-only points only for use cases that need no throughput', () => {
+      const latencyOnly = point({ speedMbps: null, uploadMbps: null, testMode: 'latency-only' });
+      expect(getReadiness(latencyOnly, useCase('voice-call'))).toBe('ready');
+      expect(getReadiness(latencyOnly, useCase('hd-streaming'))).toBeNull();
+    });
+
+    it('does not judge points missing a needed measurement', () => {
+      expect(getReadiness(point({ latencyMs: null, jitterMs: null, packetLoss: null }), useCase('voice-call'))).toBeNull();
+      expect(getReadiness(point({ latencyMs: null, jitterMs: null, packetLoss: null }), useCase('hd-streaming'))).toBe('ready');
+    });
+  });
+
+  describe('getReadinessScores', () => {
+    it('scores every configured use case', () => {
+      expect(getReadinessScores(point({ speedMbps: 4, uploadMbps: null }))).toEqual({
+        messaging: 'ready',
+        web: 'ready',
+        'voice-call': 'ready',
+        'video-call': null,
+        'hd-streaming': 'limited'
+      });
+    });
+  });
+});
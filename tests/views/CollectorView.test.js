@@ -0,0 +1,180 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { CollectorView } from '../../js/views/CollectorView.js';
+import { SimulatedSpeedTestService } from '../../js/services/SimulatedSpeedTestService.js';
+import { HeartbeatService } from '../../js/services/HeartbeatService.js';
+import { ReplayGeolocationService } from '../../js/services/ReplayGeolocationService.js';
+import { haversineDistance } from '../../js/utils/geo.js';
+
+const START = 1706745600000;
+
+/**
+ * The elements CollectorView looks up by id.
+ */
+function renderCollector() {
+  document.body.innerHTML = `
+    <div id="collector-view">
+      <span id="recording-status"></span>
+      <span id="current-position"></span>
+      <span id="current-ground-speed"></span>
+      <span id="current-speed"></span>
+      <span id="point-count"></span>
+      <span id="distance"></span>
+      <span id="data-usage"></span>
+      <input id="journey-name">
+      <input id="speed-only-mode" type="checkbox">
+      <select id="measurement-mode">
+        <option value="standard">Standard</option>
+        <option value="sustained">Sustained</option>
+      </select>
+      <input id="data-cap">
+      <button id="start-btn"></button>
+      <button id="stop-btn"></button>
+      <div id="error-message" hidden></div>
+      <ul id="data-points-list"></ul>
+    </div>
+  `;
+}
+
+/**
+ * In-memory stand-in for StorageService.
+ */
+function createStorage() {
+  let usage = 0;
+  return {
+    saveJourney: vi.fn(async () => {}),
+    getDataUsage: vi.fn(async () => usage),
+    addDataUsage: vi.fn(async (bytes) => {
+      usage += bytes;
+      return usage;
+    })
+  };
+}
+
+describe('CollectorView', () => {
+  let view;
+  let storageService;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(START);
+    Object.defineProperty(navigator, 'onLine', { writable: true, configurable: true, value: true });
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    renderCollector();
+    localStorage.clear();
+    storageService = createStorage();
+  });
+
+  afterEach(() => {
+    view?.destroy();
+    view = null;
+    localStorage.clear();
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  describe('recording a simulated session', () => {
+    const script = {
+      baseline: { downloadMbps: 12, uploadMbps: 3, latencyMs: 60, jitterMs: 6 },
+      segments: [
+        { name: 'Tunnel', atMs: 45000, durationMs: 30000, outage: true }
+      ]
+    };
+
+    beforeEach(() => {
+      localStorage.setItem('speedOnlyMode', 'true');
+      const speedTestService = new SimulatedSpeedTestService({
+        script,
+        testUrl: '/api/speedtest/down',
+        maxBytes: 2000000,
+        targetDuration: 1500,
+        uploadSize: 50000
+      });
+      const heartbeatService = new HeartbeatService({
+        interval: 1000,
+        failureThreshold: 2,
+        probe: () => speedTestService.ping()
+      });
+      view = new CollectorView(
+        { geolocationService: {}, speedTestService, storageService, heartbeatService },
+        { recordingInterval: 30000 }
+      );
+    });
+
+    it('records a point per interval and the outage between them', async () => {
+      await view.startRecording();
+      await vi.advanceTimersByTimeAsync(90000);
+
+      const journey = view.currentJourney;
+      expect(journey.dataPoints.map(point => [point.timestamp - START, point.speedMbps])).toEqual([
+        [0, 12],
+        [30000, 12],
+        [60000, null],
+        [90000, 12]
+      ]);
+      expect(journey.dataPoints[2].failure).toMatchObject({ reason: 'timeout' });
+      expect(journey.dataPoints.every(point => point.latitude === null)).toBe(true);
+
+      expect(journey.connectivityEvents).toEqual([
+        { timestamp: START, state: 'up', latitude: null, longitude: null },
+        { timestamp: START + 45000, state: 'down', latitude: null, longitude: null },
+        { timestamp: START + 75000, state: 'up', latitude: null, longitude: null }
+      ]);
+      expect(storageService.saveJourney).toHaveBeenLastCalledWith(journey);
+      expect(view.elements.pointCount.textContent).toBe('4');
+      expect(view.elements.dataPointsList.querySelector('.point-url').textContent).toBe('Tested: /api/speedtest/down');
+    });
+  });
+
+  describe('recording a replayed track', () => {
+    // Two legs of ~1.1 km due north, 100 s each
+    const track = [
+      { latitude: 51.0, longitude: 0, altitude: 10, time: 0 },
+      { latitude: 51.01, longitude: 0, altitude: 20, time: 100000 },
+      { latitude: 51.02, longitude: 0, altitude: 30, time: 200000 }
+    ];
+    const trackLatitude = (time) => 51.0 + 0.01 * time / 100000;
+
+    beforeEach(() => {
+      const geolocationService = new ReplayGeolocationService({ track, interval: 1000, accuracy: 10 });
+      const speedTestService = new SimulatedSpeedTestService({
+        script: {
+          baseline: { downloadMbps: 12 },
+          segments: [{ name: 'Cutting', atKm: 1.5, downloadMbps: 2 }]
+        },
+        getDistance: () => geolocationService.getDistanceTravelled(),
+        testUrl: '/api/speedtest/down',
+        maxBytes: 2000000,
+        targetDuration: 1500
+      });
+      view = new CollectorView(
+        { geolocationService, speedTestService, storageService },
+        { recordingInterval: 30000 }
+      );
+    });
+
+    it('places each point where the track was at the last fix', async () => {
+      const recording = view.startRecording();
+      // The first point waits half a second for a fix
+      await vi.advanceTimersByTimeAsync(500);
+      await recording;
+      await vi.advanceTimersByTimeAsync(150000);
+
+      const points = view.currentJourney.dataPoints;
+      expect(points.map(point => point.timestamp - START)).toEqual([500, 30500, 60500, 90500, 120500, 150500]);
+
+      points.forEach(point => {
+        // Fixes come once a second, so the latest is from the whole second before
+        const fixTime = Math.floor((point.timestamp - START) / 1000) * 1000;
+        expect(point.rawPosition.latitude).toBeCloseTo(trackLatitude(fixTime), 6);
+        expect(point.rawPosition.longitude).toBe(0);
+        expect(haversineDistance(point.latitude, point.longitude, trackLatitude(fixTime), 0)).toBeLessThan(5);
+        expect(point.accuracy).toBe(10);
+      });
+      expect(points[3].groundSpeed).toBeCloseTo(11.1, 1);
+      expect(view.currentJourney.getDistance()).toBeGreaterThan(1500);
+
+      // The cutting starts at km 1.5 of the replay
+      expect(points.map(point => point.speedMbps)).toEqual([12, 12, 12, 12, 12, 2]);
+    });
+  });
+});
@@ -0,0 +1,109 @@
+// @vitest-environment node
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
+import worker from '../../worker/index.js';
+
+/**
+ * Stand-in for the Workers runtime's FixedLengthStream: passes the body
+ * through and errors when its length doesn't match.
+ */
+class FixedLengthStream extends TransformStream {
+  constructor(length) {
+    let received = 0;
+    super({
+      transform(chunk, controller) {
+        received += chunk.byteLength;
+        controller.enqueue(chunk);
+      },
+      flush() {
+        if (received !== length) {
+          throw new Error(`Expected ${length} bytes, got ${received}`);
+        }
+      }
+    });
+  }
+}
+
+const env = {
+  ASSETS: { fetch: vi.fn(() => Promise.resolve(new Response('asset'))) }
+};
+
+const request = (path, init) => new Request(`https://example.com${path}`, init);
+
+describe('speed-test worker', () => {
+  beforeAll(() => {
+    vi.stubGlobal('FixedLengthStream', vi.fn(function (length) {
+      return new FixedLengthStream(length);
+    }));
+  });
+
+  afterAll(() => {
+    vi.unstubAllGlobals();
+  });
+
+  describe('/api/speedtest/down', () => {
+    it('streams the requested number of bytes through a fixed-length stream', async () => {
+      const response = await worker.fetch(request('/api/speedtest/down?bytes=200000'), env);
+
+      expect(response.status).toBe(200);
+      expect(globalThis.FixedLengthStream).toHaveBeenCalledWith(200000);
+      const body = await response.arrayBuffer();
+      expect(body.byteLength).toBe(200000);
+    });
+
+    it('disables caching and allows cross-origin reads', async () => {
+      const response = await worker.fetch(request('/api/speedtest/down?bytes=10'), env);
+
+      expect(response.headers.get('Cache-Control')).toContain('no-store');
+      expect(response.headers.get('Access-Control-Allow-Origin')).toBe('*');
+      expect(response.headers.get('Timing-Allow-Origin')).toBe('*');
+    });
+
+    it('returns an empty body for bytes=0', async () => {
+      const response = await worker.fetch(request('/api/speedtest/down?bytes=0'), env);
+      expect((await response.arrayBuffer()).byteLength).toBe(0);
+    });
+
+    it('rejects invalid or oversized byte counts', async () => {
+      for (const bytes of ['-1', 'abc', '1.5', String(200 * 1024 * 1024)]) {
+        const response = await worker.fetch(request(`/api/speedtest/down?bytes=${bytes}`), env);
+        expect(response.status).toBe(400);
+      }
+    });
+  });
+
+  describe('/api/speedtest/up', () => {
+    it('reports the number of bytes received', async () => {
+      const response = await worker.fetch(request('/api/speedtest/up', {
+        method: 'POST',
+        body: new Uint8Array(50000)
+      }), env);
+
+      expect(response.status).toBe(200);
+      expect(await response.json()).toEqual({ bytesReceived: 50000 });
+    });
+
+    it('rejects non-POST requests', async () => {
+      const response = await worker.fetch(request('/api/speedtest/up'), env);
+      expect(response.status).toBe(405);
+    });
+  });
+
+  it('answers CORS preflight requests', async () => {
+    const response = await worker.fetch(request('/api/speedtest/up', { method: 'OPTIONS' }), env);
+
+    expect(response.status).toBe(204);
+    expect(response.headers.get('Access-Control-Allow-Methods')).toContain('POST');
+  });
+
+  it('returns 404 for unknown API paths', async () => {
+    const response = await worker.fetch(request('/api/unknown'), env);
+    expect(response.status).toBe(404);
+  });
+
+  it('passes non-API requests through to the static assets', async () => {
+    const response = await worker.fetch(request('/index.html'), env);
+
+    expect(env.ASSETS.fetch).toHaveBeenCalled();
+    expect(await response.text()).toBe('asset');
+  });
+});
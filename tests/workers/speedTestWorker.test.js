@@ -0,0 +1,32 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { handleMessage } from '../../js/workers/speedTestWorker.js';
+import { SpeedTestService } from '../../js/services/SpeedTestService.js';
+
+describe('speedTestWorker handleMessage', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('runs the requested method with the configured service and replies', async () => {
+    const spy = vi.spyOn(SpeedTestService.prototype, 'measureSpeedAverage')
+      .mockImplementation(async function (count) {
+        return { count, testUrl: this.testUrl };
+      });
+    const post = vi.fn();
+
+    await handleMessage({ command: 'init', options: { testUrl: 'https://example.com/down' } }, post);
+    await handleMessage({ command: 'run', id: 7, method: 'measureSpeedAverage', args: [4] }, post);
+
+    expect(spy).toHaveBeenCalledWith(4);
+    expect(post).toHaveBeenCalledWith({ id: 7, result: { count: 4, testUrl: 'https://example.com/down' } });
+  });
+
+  it('replies with the error message when the method throws', async () => {
+    vi.spyOn(SpeedTestService.prototype, 'measureSpeed').mockRejectedValue(new Error('boom'));
+    const post = vi.fn();
+
+    await handleMessage({ command: 'run', id: 3, method: 'measureSpeed' }, post);
+
+    expect(post).toHaveBeenCalledWith({ id: 3, error: 'boom' });
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Cloudflare Worker serving the self-hosted speed-test endpoints.
+ *
+ * Everything outside /api/ is handled by the static assets binding, so the
+ * app itself is still served exactly as before. Run locally with
+ * `npm run dev` (wrangler dev): the app measures against these endpoints,
+ * so a plain static server can't take measurements.
+ *
+ *   GET  /api/speedtest/down?bytes=N  streams N uncacheable random bytes
+ *   POST /api/speedtest/up            consumes the body, replies with
+ *                                     { bytesReceived }
+ */
+
+// Default download size, matches Config.speedTest.testFileSize
+const DEFAULT_DOWNLOAD_BYTES = 150000;
+
+// Upper bound per request so a typo can't stream gigabytes
+const MAX_DOWNLOAD_BYTES = 100 * 1024 * 1024;
+
+const CHUNK_SIZE = 65536;
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  // Lets the app read detailed Resource Timing phases (DNS, TLS, TTFB)
+  'Timing-Allow-Origin': '*'
+};
+
+const NO_CACHE_HEADERS = {
+  'Cache-Control': 'no-store, no-cache, must-revalidate',
+  Pragma: 'no-cache'
+};
+
+/**
+ * Builds a response carrying the CORS and no-cache headers.
+ * @param {BodyInit|null} body
+ * @param {ResponseInit} [init]
+ * @returns {Response}
+ */
+function apiResponse(body, init = {}) {
+  return new Response(body, {
+    ...init,
+    headers: { ...CORS_HEADERS, ...NO_CACHE_HEADERS, ...init.headers }
+  });
+}
+
+/**
+ * Builds a JSON API response.
+ * @param {Object} data
+ * @param {number} [status=200]
+ * @returns {Response}
+ */
+function jsonResponse(data, status = 200) {
+  return apiResponse(JSON.stringify(data), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+/**
+ * Streams the requested number of random bytes.
+ * One random chunk is generated per request and repeated: it's larger than
+ * the deflate/brotli match window, so proxies can't compress it away, and it
+ * avoids spending Worker CPU time on randomness for every chunk.
+ * @param {URL} url
+ * @returns {Response}
+ */
+export function handleDownload(url) {
+  const param = url.searchParams.get('bytes');
+  const bytes = param === null ? DEFAULT_DOWNLOAD_BYTES : Number(param);
+
+  if (!Number.isInteger(bytes) || bytes < 0 || bytes > MAX_DOWNLOAD_BYTES) {
+    return jsonResponse({ error: `bytes must be an integer between 0 and ${MAX_DOWNLOAD_BYTES}` }, 400);
+  }
+
+  const chunk = new Uint8Array(Math.min(CHUNK_SIZE, bytes));
+  crypto.getRandomValues(chunk);
+
+  let remaining = bytes;
+  const body = new ReadableStream({
+    pull(controller) {
+      if (remaining <= 0) {
+        controller.close();
+        return;
+      }
+      const size = Math.min(remaining, chunk.length);
+      controller.enqueue(size === chunk.length ? chunk.slice() : chunk.slice(0, size));
+      remaining -= size;
+    }
+  });
+
+  // The runtime sets Content-Length from the FixedLengthStream and fails the
+  // response if the body doesn't match it
+  return apiResponse(body.pipeThrough(new FixedLengthStream(bytes)), {
+    headers: { 'Content-Type': 'application/octet-stream' }
+  });
+}
+
+/**
+ * Reads and discards the request body, reporting how many bytes arrived.
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+export async function handleUpload(request) {
+  let bytesReceived = 0;
+
+  if (request.body) {
+    const reader = request.body.getReader();
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) {
+        break;
+      }
+      bytesReceived += value.byteLength;
+    }
+  }
+
+  return jsonResponse({ bytesReceived });
+}
+
+export default {
+  /**
+   * @param {Request} request
+   * @param {{ASSETS: Fetcher}} env
+   * @returns {Promise<Response>}
+   */
+  async fetch(request, env) {
+    const url = new URL(request.url);
+
+    if (!url.pathname.startsWith('/api/')) {
+      return env.ASSETS.fetch(request);
+    }
+
+    if (request.method === 'OPTIONS') {
+      return apiResponse(null, { status: 204 });
+    }
+
+    if (url.pathname === '/api/speedtest/down') {
+      if (request.method !== 'GET' && request.method !== 'HEAD') {
+        return jsonResponse({ error: 'Method not allowed' }, 405);
+      }
+      return handleDownload(url);
+    }
+
+    if (url.pathname === '/api/speedtest/up') {
+      if (request.method !== 'POST') {
+        return jsonResponse({ error: 'Method not allowed' }, 405);
+      }
+      return handleUpload(request);
+    }
+
+    return jsonResponse({ error: 'Not found' }, 404);
+  }
+};